@@ -0,0 +1,134 @@
+// apiTokens.js
+// -------------------------------------------------------------
+// Per-user API tokens for scripted access (Authorization: Bearer).
+// - Tokens are random, shown once, stored as SHA-256 hashes
+// - Optional scopes (subset of permissions) and expiry
+// - A valid token gives the request a non-persisted session for the
+//   token's user, so the usual permission checks apply unchanged
+// -------------------------------------------------------------
+
+const crypto = require('crypto');
+const { query } = require('./dawnDb');
+
+const TOKEN_PREFIX = 'dawn_';
+
+const logW = (...a) => console.warn('[api-tokens:warn]', ...a);
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function parseScopes(raw) {
+  if (raw == null || raw === '') return null;
+  try {
+    const list = JSON.parse(raw);
+    return Array.isArray(list) ? list : null;
+  } catch {
+    return null;
+  }
+}
+
+function publicRow(r) {
+  return {
+    id: r.id,
+    user_id: r.user_id,
+    username: r.username,
+    name: r.name,
+    prefix: r.token_prefix,
+    scopes: parseScopes(r.scopes),
+    expires_at: r.expires_at,
+    created_at: r.created_at,
+    last_used_at: r.last_used_at,
+    last_used_ip: r.last_used_ip,
+    revoked: !!r.revoked
+  };
+}
+
+function createApiTokens({ db }) {
+  /** Returns { id, token } — the plain token is never stored */
+  async function create(userId, { name, scopes = null, expiresAt = null }) {
+    const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+    const result = await query(db,
+      'INSERT INTO api_tokens (user_id, name, token_hash, token_prefix, scopes, expires_at) VALUES (?, ?, ?, ?, ?, ?)',
+      [userId, name, hashToken(token), token.slice(0, TOKEN_PREFIX.length + 6), scopes ? JSON.stringify(scopes) : null, expiresAt]);
+    return { id: result.insertId, token };
+  }
+
+  const LIST_SQL = `SELECT t.*, u.username FROM api_tokens t JOIN users u ON u.id = t.user_id`;
+
+  async function listForUser(userId) {
+    const rows = await query(db, `${LIST_SQL} WHERE t.user_id = ? ORDER BY t.id DESC`, [userId]);
+    return rows.map(publicRow);
+  }
+
+  async function listAll() {
+    const rows = await query(db, `${LIST_SQL} ORDER BY t.id DESC`);
+    return rows.map(publicRow);
+  }
+
+  /** Revoke by id; pass userId to restrict to the owner's tokens */
+  async function revoke(id, userId = null) {
+    const sql = userId == null
+      ? 'UPDATE api_tokens SET revoked = 1 WHERE id = ?'
+      : 'UPDATE api_tokens SET revoked = 1 WHERE id = ? AND user_id = ?';
+    const result = await query(db, sql, userId == null ? [id] : [id, userId]);
+    return result.affectedRows > 0;
+  }
+
+  /** Returns { tokenId, scopes, username, role } or null */
+  async function authenticate(token, ip) {
+    if (!String(token || '').startsWith(TOKEN_PREFIX)) return null;
+    const rows = await query(db,
+      `SELECT t.id, t.scopes, t.expires_at, t.revoked, u.username, u.role, u.disabled
+       FROM api_tokens t JOIN users u ON u.id = t.user_id WHERE t.token_hash = ?`,
+      [hashToken(token)]);
+    const row = rows[0];
+    if (!row || row.revoked || row.disabled) return null;
+    if (row.expires_at && new Date(row.expires_at).getTime() < Date.now()) return null;
+
+    query(db, 'UPDATE api_tokens SET last_used_at = NOW(), last_used_ip = ? WHERE id = ?', [String(ip || '').slice(0, 64), row.id])
+      .catch(e => logW('Could not update last use:', e.message));
+
+    return { tokenId: row.id, scopes: parseScopes(row.scopes), username: row.username, role: row.role };
+  }
+
+  /**
+   * Express middleware; mount BEFORE express-session. express-session leaves an
+   * existing req.session alone, so token requests never create a stored session.
+   */
+  function bearerAuth() {
+    return (req, res, next) => {
+      const header = req.headers.authorization || '';
+      const m = header.match(/^Bearer\s+(\S+)$/i);
+      if (!m) return next();
+
+      authenticate(m[1], req.ip)
+        .then(auth => {
+          if (!auth) {
+            return res.status(401).json({ ok: false, error: 'Invalid, expired or revoked API token' });
+          }
+          req.session = {
+            loggedin: true,
+            username: auth.username,
+            role: auth.role,
+            created_at: Date.now(),
+            apiToken: { id: auth.tokenId, scopes: auth.scopes },
+            destroy(cb) { if (cb) cb(); },
+            regenerate(cb) { if (cb) cb(new Error('Not available for API tokens')); },
+            save(cb) { if (cb) cb(); }
+          };
+          next();
+        })
+        .catch(err => {
+          console.error('[api-tokens] authenticate error:', err);
+          res.status(500).json({ ok: false, error: 'Token check failed' });
+        });
+    };
+  }
+
+  return { create, listForUser, listAll, revoke, authenticate, bearerAuth };
+}
+
+module.exports = {
+  createApiTokens
+};
@@ -8,9 +8,31 @@ const fs = require('fs');
 const fsp = require('fs').promises;
 const path = require('path');
 const https = require('https');
-const fetchStatus = require('./polling').fetchStatus;
-const postStatus = require('./polling').postStatus;
+const { AdminApiClient, clientOptions } = require('./polling');
 const { exec } = require('child_process');
+const { createPermissions } = require('./permissions');
+const { ensureSchema } = require('./dawnDb');
+const { createPasswordHasher } = require('./passwords');
+const totp = require('./totp');
+const { createLoginGuard } = require('./loginGuard');
+const { MySQLSessionStore } = require('./sessionStore');
+const { createApiTokens } = require('./apiTokens');
+const { createAuditLog } = require('./audit');
+const { createCsrf } = require('./csrf');
+const { createSupervisor, describeExit } = require('./supervisor');
+const { createAutoRestart } = require('./autoRestart');
+const { createRestartScheduler } = require('./restartScheduler');
+const { createWorldDrain } = require('./worldDrain');
+const { createBuildJobs } = require('./buildJobs');
+const { createBinaryArchive } = require('./binaryArchive');
+const { createWorlds } = require('./worlds');
+const { createContentUpdates } = require('./contentUpdates');
+const { createMonitoring } = require('./monitoring');
+const { createStatusHistory } = require('./statusHistory');
+const { createStatusBus } = require('./statusBus');
+const { createNotifications } = require('./notifications');
+const { createPlayerSessions } = require('./playerSessions');
+const { createClientActions } = require('./clientActions');
 const archiver = require('archiver');
 
 const app = express();
@@ -31,20 +53,43 @@ const config = JSON.parse(fs.readFileSync(configPath));
 
 const port = config.http.port;
 
+// Optional login hardening (2FA enforcement etc.)
+const security = config.security || {};
+const requires2fa = (role) => (security.require_2fa_roles || []).includes(role);
+
+// Session settings: idle timeout slides with activity, absolute timeout counts from login
+const sessionConfig = config.session || {};
+const SESSION_IDLE_MS = (Number(sessionConfig.idle_minutes) || 60) * 60 * 1000;
+const SESSION_ABSOLUTE_MS = (Number(sessionConfig.absolute_hours) || 12) * 60 * 60 * 1000;
+const SESSION_COOKIE = 'dawn.sid';
+
+// Session secret: from config.session.secret, generated and saved on first run
+function loadSessionSecret() {
+  if (sessionConfig.secret) return sessionConfig.secret;
+  const secret = crypto.randomBytes(48).toString('hex');
+  config.session = { ...sessionConfig, secret };
+  try {
+    fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
+    console.log('Generated a session secret and saved it to dawn_config.json');
+  } catch (e) {
+    console.error('Could not save the generated session secret (logins will not survive a restart):', e.message);
+  }
+  return secret;
+}
+
 let serverLoginStatus = 'Unknown';
-let serverWorldStatus = 'Unknown';
 
 let loginStatus = {};
-let worldStatus = {};
 
 let loginVersion = null;
-let worldVersion = null;
 
 let loginClients = {};
-let worldClients = {};
 
 let loginPID = -1;
-let worldPID = -1;
+// { code, message } of the last failed login status poll (polling.js)
+let loginApiError = null;
+// Last completed login status poll (healthz)
+let loginPolledAt = null;
 let ServerLoaded = 0;
 let ServerRecompile = 0;
 let ServerUpdateContent = 0;
@@ -61,15 +106,25 @@ function throttle(func, limit) {
   };
 }
 
+// World servers: config.worlds, or the single world of the legacy settings.
+// Each holds its own polled status / clients and world DB (see worlds.js)
+const worlds = createWorlds(config);
+
+// login / world servers run as managed child processes (settings in config.processes / config.worlds)
+const supervisor = createSupervisor(config.processes, worlds.processSpecs());
+const loginProcess = supervisor.get('login');
+const worldProcess = (world) => supervisor.get(world.processName);
+
+// Manual starts (also clear a crash-loop stop, see autoRestart below)
 const startLogin = () => {
-  executeScript("./start_login_fromweb.sh");
+  autoRestart.start('login').catch(err => console.error('Error starting login server:', err.message));
 };
-const startWorld = () => {
-  executeScript("./start_world_fromweb.sh");
+const startWorld = (world) => {
+  autoRestart.start(world.processName).catch(err => console.error(`Error starting world server ${world.name}:`, err.message));
 };
 
 const startLoginThrottled = throttle(startLogin, 10000);
-const startWorldThrottled = throttle(startWorld, 10000);
+const startWorldThrottled = new Map(worlds.list().map(w => [w.id, throttle(() => startWorld(w), 10000)]));
 
 function executeScript(scriptName) {
   exec(scriptName, (error, stdout, stderr) => {
@@ -113,6 +168,12 @@ const db = mysql.createConnection({
 db.connect((err) => {
   if (err) throw err;
   console.log('Connected to database');
+  ensureSchema(db)
+    .then(startServices)
+    .then(() => builds.markInterrupted())
+    .then(() => contentUpdates.markInterrupted())
+    .then(() => binaryArchive.syncDeployed(() => builds.sourceVersion()))
+    .catch(e => console.error('Error upgrading Dawn database schema:', e));
 });
 
 // Function to keep MySQL connection alive
@@ -127,88 +188,401 @@ const keepAlive = () => {
 // Ping the database every 5 minutes (300000 milliseconds)
 setInterval(keepAlive, 300000);
 
+// Failed-login tracking / lockouts (settings in config.security.login_throttle)
+const loginGuard = createLoginGuard({ db, options: security.login_throttle });
+
+// Behind a reverse proxy, set http.trust_proxy so req.ip is the real client address
+if (config.http.trust_proxy) {
+  app.set('trust proxy', config.http.trust_proxy);
+}
+
+// Per-user API tokens (Authorization: Bearer dawn_...)
+const apiTokens = createApiTokens({ db });
+
+// Audit trail of administrative actions
+const audit = createAuditLog({ db });
+
+// Webhook / email alerts on server state changes and job outcomes (settings in config.notifications)
+const notifications = createNotifications({ db, options: config.notifications });
+
+// Supervisor process name -> name used in notifications
+function serverName(processName) {
+  if (processName === 'login') return 'Login server';
+  const world = worlds.list().find(w => w.processName === processName);
+  return world ? `World ${world.name}` : processName;
+}
+
+// False while binaries or content are being replaced (startup compile, build deploy, content copy)
+const serverFilesReady = () => ServerLoaded == 1 && !builds.deploying() && !contentUpdates.copying();
+
+// Backoff, crash-loop detection and restart history (settings in config.restart_policy)
+const autoRestart = createAutoRestart({
+  db,
+  supervisor,
+  enabled: () => config.http.auto_restart === "1",
+  ready: serverFilesReady,
+  onGiveUp: (name, exits, windowMinutes) => notifications.notify('server.crash_loop', {
+    server: serverName(name),
+    title: `${serverName(name)}: auto-restart gave up`,
+    text: `${exits} exits within ${windowMinutes} minutes. The server stays down until it is started from the dashboard.`
+  }),
+  options: config.restart_policy
+});
+
+// In-game announcement through the world admin API (path/fields in config.scheduled_restarts)
+async function broadcastWorld(world, message) {
+  const opts = config.scheduled_restarts || {};
+  const body = { ...(opts.broadcast_fields || {}), message };
+  try {
+    return await world.api.post(opts.broadcast_path || "/sendglobalmessage", body);
+  } catch (e) {
+    throw new Error(`World server ${world.name} did not accept the announcement: ${e.message}`);
+  }
+}
+
+// Scheduled restarts cover every world; fails only if no world took the announcement
+async function broadcastAllWorlds(message) {
+  const results = await Promise.allSettled(worlds.list().map(w => broadcastWorld(w, message)));
+  const failed = results.filter(r => r.status === 'rejected');
+  if (failed.length === results.length) throw failed[0].reason;
+  failed.forEach(r => console.warn('Announcement:', r.reason.message));
+}
+
+// Scheduled restarts with countdown warnings (schedules in restart_schedules)
+const scheduler = createRestartScheduler({
+  db,
+  supervisor,
+  autoRestart,
+  broadcast: broadcastAllWorlds,
+  ready: serverFilesReady,
+  audit,
+  worldProcesses: worlds.processNames(),
+  options: config.scheduled_restarts
+});
+
+// Fresh /clients poll for the drain; also refreshes the cached client list
+async function countWorldClients(world) {
+  let response;
+  try {
+    response = await world.api.get("/clients");
+  } catch (e) {
+    return null;
+  }
+  world.clients = response;
+  return Array.isArray(response.Clients) ? response.Clients.length : 0;
+}
+
+// Graceful world stop per world: warn, wait for players to leave, then stop (settings in config.world_drain)
+const worldDrains = new Map(worlds.list().map(world => [world.id, createWorldDrain({
+  supervisor,
+  world,
+  broadcast: (message) => broadcastWorld(world, message),
+  countClients: () => countWorldClients(world),
+  audit,
+  options: config.world_drain
+})]));
+
+// Last N deployed login/world binaries for rollback (settings in config.binary_archive)
+const binaryArchive = createBinaryArchive({ db, options: config.binary_archive });
+
+// Tracked login/world source builds (settings in config.build)
+const builds = createBuildJobs({
+  db,
+  supervisor,
+  archive: binaryArchive,
+  restartServers: (target) => scheduler.restartServers(target),
+  worldProcesses: worlds.processNames(),
+  onFinish: (job) => notifications.notify(job.status === 'success' ? 'build.success' : 'build.failed', {
+    title: job.status === 'success' ? `Build of ${job.targets.join(', ')} finished` : `Build of ${job.targets.join(', ')} failed`,
+    text: [job.version && `Version ${job.version}`, job.error, job.startedBy && `Started by ${job.startedBy}`].filter(Boolean).join('\n')
+  }),
+  options: config.build
+});
+
+// World content (LUA scripts) updates with preview and local-edit handling (settings in config.content)
+const contentUpdates = createContentUpdates({
+  db,
+  onFinish: (job) => notifications.notify(job.status === 'success' ? 'content.success' : 'content.failed', {
+    title: `Content ${job.mode} ${job.status === 'success' ? 'finished' : 'failed'}`,
+    text: job.status === 'success'
+      ? `${job.stats.copied} files updated, ${job.stats.skipped} local edits kept${job.toCommit ? ` (${job.toCommit.slice(0, 12)})` : ''}`
+      : job.error
+  }),
+  options: config.content
+});
+
+// /healthz and Prometheus /metrics (settings in config.monitoring)
+const monitoring = createMonitoring({
+  db,
+  supervisor,
+  autoRestart,
+  worlds,
+  builds,
+  login: () => ({ status: serverLoginStatus, version: loginVersion, polledAt: loginPolledAt }),
+  busy: () => ({ build: builds.current(), content: contentUpdates.current() }),
+  options: config.monitoring
+});
+
+// Clients per zone name of a polled /clients list
+function zoneCounts(clients) {
+  const zones = {};
+  for (const c of (Array.isArray(clients.Clients) ? clients.Clients : [])) {
+    const zone = c.zonename || 'none';
+    zones[zone] = (zones[zone] || 0) + 1;
+  }
+  return zones;
+}
+
+// Live dashboard state: pollers and process events publish, /dashboard_stream pushes changes
+const statusBus = createStatusBus();
+// Uptimes change on every poll; they go out once a minute on the 'uptime' topic
+const UPTIME_PUBLISH_MS = 60000;
+const publishLogin = () => statusBus.publish('login', loginSummary(), { omit: ['login_uptime'] });
+const publishWorld = (world) => statusBus.publish(`world:${world.id}`, worldSummary(world), { omit: ['uptime'] });
+const publishServer = () => statusBus.publish('server', serverSummary());
+const publishUptime = () => statusBus.publish('uptime', {
+  login_uptime: loginSummary().login_uptime,
+  worlds: Object.fromEntries(worlds.list().map(w => [w.id, worldSummary(w).uptime]))
+});
+
+// Crashes, stops and starts go out right away, not a poll later
+loginProcess.on('exit', publishLogin);
+loginProcess.on('start', publishLogin);
+for (const world of worlds.list()) {
+  worldProcess(world).on('exit', () => publishWorld(world));
+  worldProcess(world).on('start', () => publishWorld(world));
+}
+
+// Servers with an outage notification out; they get a 'back online' one
+const serversDown = new Set();
+
+for (const proc of supervisor.list()) {
+  proc.on('exit', (exit) => {
+    if (exit.requested) return;
+    serversDown.add(proc.name);
+    notifications.notify('server.crashed', {
+      server: serverName(proc.name),
+      title: `${serverName(proc.name)} exited unexpectedly`,
+      text: `${describeExit(exit)} after ${exit.uptimeSeconds || 0}s`
+    });
+  });
+}
+
+// Up / down notifications from a status poll. A crash is already reported by the
+// exit event and a server stopped from Dawn is not an outage.
+function notifyServerState(proc, up, apiError) {
+  const state = up ? 'up' : proc.running ? 'down' : 'stopped';
+  const prev = notifications.transition(`server:${proc.name}`, state);
+  const server = serverName(proc.name);
+  if (state === 'down' && prev === 'up') {
+    serversDown.add(proc.name);
+    notifications.notify('server.down', {
+      server,
+      title: `${server} is not answering`,
+      text: apiError ? apiError.message : 'The admin API reports the server offline'
+    });
+  } else if (state === 'up' && prev !== undefined && serversDown.delete(proc.name)) {
+    notifications.notify('server.up', { server, title: `${server} is back online` });
+  }
+}
+
+function notifyWorldLogin(world) {
+  if (world.serverStatus !== 'online') return;
+  const prev = notifications.transition(`world-login:${world.id}`, world.status.login_connected === 'connected');
+  if (prev === undefined) return;
+  const server = `World ${world.name}`;
+  notifications.notify(prev ? 'world.login_lost' : 'world.login_restored', {
+    server,
+    title: prev ? `${server} lost its login server connection` : `${server} reconnected to the login server`,
+    text: prev ? 'Players cannot log in to this world until it reconnects.' : ''
+  });
+}
+
+// Status / population samples for the history page (settings in config.status_history)
+const loginPollingEnabled = (config.polling.disable_login ?? "0") === "0";
+const statusHistory = createStatusHistory({
+  db,
+  sample: () => {
+    const rows = worlds.list().filter(w => w.polledAt).map(w => {
+      const zones = zoneCounts(w.clients);
+      return {
+        server: w.id,
+        up: w.serverStatus === 'online',
+        loginConnected: w.status.login_connected === 'connected',
+        clients: Object.values(zones).reduce((n, c) => n + c, 0),
+        zones
+      };
+    });
+    if (loginPollingEnabled && loginPolledAt) rows.push({ server: 'login', up: serverLoginStatus === 'online' });
+    return rows;
+  },
+  options: config.status_history
+});
+
+// Login / logout / zone history per character from the client polls (settings in config.player_sessions)
+const playerSessions = createPlayerSessions({ db, options: config.player_sessions });
+
 // Middleware
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use(express.static(__dirname + '/public'));
 app.use(cookieParser());
+
+// Monitoring: no session, optional shared token (config.monitoring.token)
+app.get('/healthz', monitoring.checkToken(), async (req, res) => {
+  const health = await monitoring.health();
+  res.setHeader('Cache-Control', 'no-store');
+  res.status(health.status === 'ok' ? 200 : 503).json(health);
+});
+
+app.get('/metrics', monitoring.checkToken(), async (req, res) => {
+  try {
+    const text = await monitoring.metrics();
+    res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(text);
+  } catch (err) {
+    console.error('Metrics error:', err);
+    res.status(500).send('# metrics unavailable\n');
+  }
+});
+
+// Before express-session: a bearer token supplies its own, non-persisted session
+app.use(apiTokens.bearerAuth());
 app.use(session({
-  secret: 'secret',
-  resave: true,
-  saveUninitialized: true
+  name: SESSION_COOKIE,
+  secret: loadSessionSecret(),
+  store: new MySQLSessionStore(db, { ttlMs: SESSION_IDLE_MS }),
+  resave: false,
+  saveUninitialized: false,
+  rolling: true,
+  cookie: {
+    secure: true, // Dawn only listens on HTTPS
+    httpOnly: true,
+    sameSite: sessionConfig.same_site || 'lax',
+    maxAge: SESSION_IDLE_MS
+  }
 }));
 
 app.set('view engine', 'ejs');
 
+// Keep the session in step with the users table: deleted or disabled accounts
+// are logged out and role changes apply without a re-login
+app.use((req, res, next) => {
+  if (!req.session.loggedin) return next();
+  if (!req.session.created_at || Date.now() - req.session.created_at > SESSION_ABSOLUTE_MS) {
+    return req.session.destroy(() => res.redirect('/'));
+  }
+  db.query('SELECT role, disabled, totp_enabled FROM users WHERE username = ?', [req.session.username], (err, results) => {
+    if (err) {
+      console.error('Session user lookup error:', err);
+      return next();
+    }
+    if (results.length === 0 || results[0].disabled) {
+      return req.session.destroy(() => res.redirect('/'));
+    }
+    req.session.role = results[0].role;
+    req.session.must_enroll_2fa = requires2fa(results[0].role) && !results[0].totp_enabled;
+    next();
+  });
+});
+
+// Roles with mandatory 2FA can only reach the enrollment page until they enroll
+// (whole path segments: /login-security is not a login page)
+const under = (path, prefix) => path === prefix || path.startsWith(prefix + '/');
+app.use((req, res, next) => {
+  if (!req.session.loggedin || !req.session.must_enroll_2fa) return next();
+  if (req.path === '/' || req.path === '/logout' || under(req.path, '/login') || under(req.path, '/account/2fa')) return next();
+  if (req.method === 'GET' && !req.xhr) return res.redirect('/account/2fa');
+  return res.status(403).json({ ok: false, error: 'Two-factor authentication enrollment required' });
+});
+
+// State-changing requests need the session's CSRF token (views: csrfToken)
+const csrf = createCsrf();
+app.use(csrf.protect());
+
+// Interval callback that skips a tick while the previous one is still running
+// (admin API calls can take several seconds with timeouts and retries)
+function skipIfBusy(fn) {
+  let running = false;
+  return async () => {
+    if (running) return;
+    running = true;
+    try {
+      await fn();
+    } finally {
+      running = false;
+    }
+  };
+}
+
 // Polling function
-const startLoginPolling = (url, username, password) => {
-  setInterval(async () => {
-    var response = await fetchStatus(url + "/status", sslFiles, username, password);
-	if(response != null) {
+const startLoginPolling = (api) => {
+  setInterval(skipIfBusy(async () => {
+	try {
+		var response = await api.get("/status");
 		serverLoginStatus = response.login_status;
 		loginStatus = response;
+		loginApiError = null;
 		
 		if(loginVersion == null) {
-			var ver_response = await fetchStatus(url + "/version", sslFiles, username, password);
+			var ver_response = await api.get("/version").catch(() => null);
 			if(ver_response != null) {
 				loginVersion = ver_response;
+				binaryArchive.recordServerVersion('login', ver_response, loginProcess.startedAt);
 			}
 		}
 	}
-	else {
+	catch (e) {
 		serverLoginStatus = "offline";
 		loginVersion = null;
-		if(config.http.auto_restart === "1" && ServerLoaded == 1) {
-			startLoginThrottled();
-		}
+		loginApiError = { code: e.code || 'error', message: e.message };
 	}
-  executeResult("pidof -x 'login'").then(output => {
-		loginPID = output;
-  })
-  .catch(err => {
-	  loginPID = -1;
+  loginPID = loginProcess.pid || -1;
+  loginPolledAt = new Date();
+  if(!loginProcess.running) {
 	  loginVersion = null;
-	  if(config.http.auto_restart === "1" && ServerLoaded == 1) {
-		startLoginThrottled();
-	  }
-  });
+	  autoRestart.ensureRunning('login');
+  }
+  notifyServerState(loginProcess, serverLoginStatus === 'online', loginApiError);
+  publishLogin();
 
-  }, 5000); // 5000 ms = 5 seconds
+  }), 5000); // 5000 ms = 5 seconds
 };
 
-const startWorldPolling = (url, username, password) => {
-  setInterval(async () => {
-    var response = await fetchStatus(url + "/status", sslFiles, username, password);
-	if(response != null) {
-		serverWorldStatus = response.world_status;
-		worldStatus = response;
+const startWorldPolling = (world) => {
+  const proc = worldProcess(world);
+  setInterval(skipIfBusy(async () => {
+	try {
+		var response = await world.api.get("/status");
+		world.serverStatus = response.world_status;
+		world.status = response;
+		world.apiError = null;
 		
-		if(worldVersion == null) {
-			var ver_response = await fetchStatus(url + "/version", sslFiles, username, password);
+		if(world.version == null) {
+			var ver_response = await world.api.get("/version").catch(() => null);
 			if(ver_response != null) {
-				worldVersion = ver_response;
+				world.version = ver_response;
+				// Every world runs the one deployed eq2world binary
+				binaryArchive.recordServerVersion('eq2world', ver_response, proc.startedAt);
 			}
 		}
 	}
-	else {
-		serverWorldStatus = "offline";
-		worldVersion = null;
-		if(config.http.auto_restart === "1" && ServerLoaded == 1) {
-			startWorldThrottled();
-		}
+	catch (e) {
+		world.serverStatus = "offline";
+		world.version = null;
+		world.apiError = { code: e.code || 'error', message: e.message };
 	}
 	
-  executeResult("pidof -x 'eq2world'").then(output => {
-		worldPID = output;
-  })
-  .catch(err => {
-	  worldPID = -1;
-	  worldVersion = null;
-	  if(config.http.auto_restart === "1" && ServerLoaded == 1) {
-		startWorldThrottled();
-	  }
-  });
-  }, 5000); // 5000 ms = 5 seconds
+  world.pid = proc.pid || -1;
+  world.polledAt = new Date();
+  if(!proc.running) {
+	  world.version = null;
+	  autoRestart.ensureRunning(world.processName);
+  }
+  notifyServerState(proc, world.serverStatus === 'online', world.apiError);
+  notifyWorldLogin(world);
+  publishWorld(world);
+  }), 5000); // 5000 ms = 5 seconds
 };
 
 const serverLoadedPolling = () => {
@@ -216,76 +590,158 @@ const serverLoadedPolling = () => {
    ServerLoaded = checkFileNotExist("/eq2emu/server_loading");
    ServerRecompile = checkFileNotExist("/eq2emu/eq2emu_dawnserver/recompile");
    ServerUpdateContent = (checkFileNotExist("/eq2emu/eq2emu_dawnserver/updating_content") == false);
+   publishServer();
   }, 5000); // 5000 ms = 5 seconds
 };
 
-const startWorldClientPolling = (url, username, password) => {
-  setInterval(async () => {
-    var response = await fetchStatus(url, sslFiles, username, password);
+const startWorldClientPolling = (world) => {
+  setInterval(skipIfBusy(async () => {
+	// Failures show up through the status poll (world.apiError)
+	var response = await world.api.get("/clients").catch(() => null);
 	if(response != null) {
-		worldClients = response;
+		world.clients = response;
+		world.clientsPolledAt = new Date();
+		publishWorld(world);
+		await playerSessions.observe(world, response).catch(e => console.warn(`Player sessions (${world.name}):`, e.message));
+	}
+	else if(!worldProcess(world).running) {
+		// A stopped world has no players left; a hung one keeps its sessions open
+		await playerSessions.worldDown(world).catch(e => console.warn(`Player sessions (${world.name}):`, e.message));
 	}
-  }, 10000); // 5000 ms = 5 seconds
+  }), 10000); // 10000 ms = 10 seconds
 };
 
-// Role-checking middleware
-function checkRole(role) {
-  return function (req, res, next) {
-    if (req.session.role === role) {
-      next();
-    } else {
-	  // redirect failures to dashboard all users can access (which will send to login prompt if not logged in)
-      res.redirect(`/dashboard`);
-    }
-  };
-}
+// Permission-checking middleware (roles -> permissions mapping lives in permissions.js / config.permissions)
+const permissions = createPermissions(config);
+const checkPermission = permissions.checkPermission;
 
-var world_db = null;
-if(typeof config.worlddb !== "undefined") {
-// Database connection
-world_db = mysql.createConnection({
-  host: config.worlddb.host,
-  user: config.worlddb.user,
-  password: config.worlddb.password,
-  database: config.worlddb.database
-});
+// ?world=<id> (or body.world) selects the world a route acts on; the first world when omitted
+function withWorld(req, res, next) {
+  const world = worlds.fromRequest(req);
+  if (!world) return res.status(404).send('Unknown world');
+  req.world = world;
+  next();
 }
 
 // Routes
 // app.js
-const worldUpdateRouter = require('./routes/worldUpdate')(world_db);
-app.use('/world-update', checkRole('admin'), worldUpdateRouter);
+const worldUpdateRouter = require('./routes/worldUpdate')({
+  worlds,
+  audit,
+  onFinish: ({ world, ref, status, error }) => notifications.notify(status === 'success' ? 'worlddb.success' : 'worlddb.failed', {
+    server: world ? `World ${world.name}` : null,
+    title: `World DB update${world ? ` of ${world.name}` : ''} ${status === 'success' ? 'finished' : 'failed'}`,
+    text: [`Ref ${ref}`, error].filter(Boolean).join('\n')
+  })
+});
+app.use('/world-update', checkPermission('worlddb.update'), worldUpdateRouter);
 
 app.get('/', (req, res) => {
   res.render('login');
 });
 
-const hashPassword = (password, salt) => {
-  const hash = crypto.createHmac('sha512', salt);
-  hash.update(password);
-  return hash.digest('hex');
-};
+// scrypt hashing; legacy HMAC hashes are upgraded on the next successful login
+const passwords = createPasswordHasher(config);
+
+const usersRouter = require('./routes/users')({ db, passwords, apiTokens, audit });
+app.use('/users', checkPermission('users.manage'), usersRouter);
+
+const accountRouter = require('./routes/account')({ db, passwords, apiTokens, permissions, security, audit });
+app.use('/account', accountRouter);
+
+const loginSecurityRouter = require('./routes/loginSecurity')({ loginGuard, audit });
+app.use('/login-security', checkPermission('security.manage'), loginSecurityRouter);
+
+const auditRouter = require('./routes/audit')({ audit });
+app.use('/audit', checkPermission('audit.view'), auditRouter);
+
+const schedulesRouter = require('./routes/schedules')({ scheduler, audit });
+app.use('/schedules', checkPermission('schedule.manage'), schedulesRouter);
+
+const worldDrainRouter = require('./routes/worldDrain')({ drains: worldDrains, worlds, audit });
+app.use('/world-drain', checkPermission('server.stop'), worldDrainRouter);
+
+const buildsRouter = require('./routes/builds')({ builds, archive: binaryArchive, audit });
+app.use('/builds', checkPermission('server.compile'), buildsRouter);
+
+const contentRouter = require('./routes/content')({ content: contentUpdates, audit });
+app.use('/content', checkPermission('content.update'), contentRouter);
+
+const historyRouter = require('./routes/history')({ history: statusHistory, worlds, loginEnabled: loginPollingEnabled });
+app.use('/history', checkPermission('history.view'), historyRouter);
+
+// Clients console: live list and kick / message / teleport (settings in config.client_actions)
+const clientsRouter = require('./routes/clients')({ worlds, actions: createClientActions({ options: config.client_actions }), permissions, audit });
+app.use('/world_clients', checkPermission('clients.view'), clientsRouter);
+
+const sessionsRouter = require('./routes/sessions')({ sessions: playerSessions, worlds });
+app.use('/sessions', checkPermission('clients.view'), sessionsRouter);
+
+const notificationsRouter = require('./routes/notifications')({ notifications, audit });
+app.use('/notifications', checkPermission('notifications.manage'), notificationsRouter);
 
 // Route to render registration form
-app.get('/register', checkRole('admin'), (req, res) => {
+app.get('/register', checkPermission('users.manage'), (req, res) => {
   res.render('register');
 });
 
-app.post('/register', checkRole('admin'), (req, res) => {
+app.post('/register', checkPermission('users.manage'), audit.track('users.register', { target: req => req.body.username }), (req, res) => {
   const { username, password, role } = req.body;
   
   if(username.length < 1 || password.length < 1) {
 	  return res.status(500).send('Error, invalid registration');
   }
-  const salt = crypto.randomBytes(16).toString('hex');
-  const hashedPassword = hashPassword(password, salt);
+  const salt = passwords.generateSalt();
+  passwords.hashPassword(password, salt).then(hashedPassword => {
+    db.query('INSERT INTO users (username, password, salt, role) VALUES (?, ?, ?, ?)', [username, hashedPassword, salt, role], (err, result) => {
+      if (err) {
+        console.error('Error registering user:', err);
+        return res.status(500).send('Error registering user');
+      }
+      res.send('User registered successfully');
+    });
+  })
+  .catch(err => {
+    console.error('Error hashing password:', err);
+    res.status(500).send('Error registering user');
+  });
+});
+
+// Answer a throttled attempt with 429 + Retry-After
+function rejectThrottled(req, res, username, gate) {
+  const seconds = Math.ceil(gate.retryAfterMs / 1000);
+  loginGuard.recordEvent({ username, ip: req.ip, success: false, reason: gate.reason });
+  res.set('Retry-After', String(seconds));
+  return res.status(429).send(`Too many failed login attempts. Try again in ${seconds} seconds.`);
+}
 
-  db.query('INSERT INTO users (username, password, salt, role) VALUES (?, ?, ?, ?)', [username, hashedPassword, salt, role], (err, result) => {
+// Final step of every successful login (after password and, if enrolled, 2FA)
+function completeLogin(req, res, user, method) {
+  loginGuard.recordSuccess(user.username, req.ip);
+  loginGuard.recordEvent({ username: user.username, ip: req.ip, success: true, reason: method });
+  db.query('UPDATE users SET last_login = NOW() WHERE id = ?', [user.id], (err) => {
+    if (err) console.error('Error updating last login:', err);
+  });
+  // Fresh session id on login (drops any pending 2FA state too)
+  req.session.regenerate((err) => {
     if (err) {
-      console.error('Error registering user:', err);
-      return res.status(500).send('Error registering user');
+      console.error('Session regenerate error:', err);
+      return res.status(500).send('Internal server error');
     }
-    res.send('User registered successfully');
+    req.session.loggedin = true;
+    req.session.username = user.username;
+    req.session.role     = user.role;
+    req.session.created_at = Date.now();
+    req.session.must_enroll_2fa = requires2fa(user.role) && !user.totp_enabled;
+    return res.redirect(req.session.must_enroll_2fa ? '/account/2fa' : '/dashboard');
+  });
+}
+
+app.post('/logout', (req, res) => {
+  req.session.destroy((err) => {
+    if (err) console.error('Session destroy error:', err);
+    res.clearCookie(SESSION_COOKIE);
+    res.redirect('/');
   });
 });
 
@@ -297,11 +753,18 @@ app.post('/login', (req, res) => {
     return res.status(400).send('Please enter Username and Password!');
   }
 
+  // 1b) too many recent (or in-flight) failures for this username or IP → 429
+  const attempt = loginGuard.begin(username, req.ip);
+  if (!attempt.allowed) {
+    return rejectThrottled(req, res, username, attempt);
+  }
+  res.on('close', () => attempt.finish());
+
   // 2) lookup user
   db.query(
     'SELECT * FROM users WHERE username = ?',
     [username],
-    (err, results) => {
+    async (err, results) => {
       // 2a) DB error → 500
       if (err) {
         console.error('Login query error:', err);
@@ -310,26 +773,170 @@ app.post('/login', (req, res) => {
 
       // 2b) no user → 401
       if (results.length === 0) {
+        attempt.finish(true);
+        loginGuard.recordEvent({ username, ip: req.ip, success: false, reason: 'unknown_user' });
         return res.status(401).send('Incorrect Username and/or Password!');
       }
 
       const user = results[0];
-      const hashed = hashPassword(password, user.salt);
+      let verified;
+      try {
+        verified = await passwords.verifyPassword(password, user.salt, user.password);
+      } catch (e) {
+        console.error('Password verify error:', e);
+        return res.status(500).send('Internal server error');
+      }
 
       // 2c) bad password → 401
-      if (hashed !== user.password) {
+      if (!verified.ok) {
+        attempt.finish(true);
+        loginGuard.recordEvent({ username, ip: req.ip, success: false, reason: 'bad_password' });
         return res.status(401).send('Incorrect Username and/or Password!');
       }
 
-      // 3) success → set session + redirect
-      req.session.loggedin = true;
-      req.session.username = username;
-      req.session.role     = user.role;
-      return res.redirect('/dashboard');
+      // 2d) disabled account → 403
+      if (user.disabled) {
+        loginGuard.recordEvent({ username, ip: req.ip, success: false, reason: 'disabled' });
+        return res.status(403).send('This account has been disabled.');
+      }
+
+      // 3) success → upgrade legacy/outdated hash in place, set session + redirect
+      if (verified.needsUpgrade) {
+        const salt = passwords.generateSalt();
+        passwords.hashPassword(password, salt).then(upgraded => {
+          db.query('UPDATE users SET password = ?, salt = ? WHERE id = ?', [upgraded, salt, user.id], (err) => {
+            if (err) console.error('Error upgrading password hash:', err);
+            else console.log(`Upgraded password hash for ${username}`);
+          });
+        })
+        .catch(e => console.error('Error upgrading password hash:', e));
+      }
+
+      // 4) enrolled in 2FA → second step before the session is logged in
+      if (user.totp_enabled) {
+        req.session.pending_2fa = { username: user.username, at: Date.now() };
+        return res.redirect('/login/2fa');
+      }
+
+      return completeLogin(req, res, user, 'password');
     }
   );
 });
 
+// Pending 2FA logins expire after 5 minutes
+const PENDING_2FA_MS = 5 * 60 * 1000;
+
+app.get('/login/2fa', (req, res) => {
+  const pending = req.session.pending_2fa;
+  if (!pending || Date.now() - pending.at > PENDING_2FA_MS) {
+    delete req.session.pending_2fa;
+    return res.redirect('/');
+  }
+  res.render('login_2fa');
+});
+
+app.post('/login/2fa', (req, res) => {
+  const pending = req.session.pending_2fa;
+  const code = String(req.body.code || '').trim();
+
+  if (!pending || Date.now() - pending.at > PENDING_2FA_MS) {
+    delete req.session.pending_2fa;
+    return res.status(401).send('Login expired, please sign in again.');
+  }
+  if (!code) {
+    return res.status(400).send('Please enter your authentication code!');
+  }
+
+  const attempt = loginGuard.begin(pending.username, req.ip);
+  if (!attempt.allowed) {
+    return rejectThrottled(req, res, pending.username, attempt);
+  }
+  res.on('close', () => attempt.finish());
+
+  db.query('SELECT * FROM users WHERE username = ?', [pending.username], (err, results) => {
+    if (err) {
+      console.error('2FA query error:', err);
+      return res.status(500).send('Internal server error');
+    }
+    const user = results[0];
+    if (!user || user.disabled || !user.totp_enabled) {
+      delete req.session.pending_2fa;
+      return res.status(401).send('Login expired, please sign in again.');
+    }
+
+    // Authenticator code first, then a one-time recovery code
+    const step = totp.verify(user.totp_secret, code, { lastStep: user.totp_last_step });
+    if (step != null) {
+      return db.query('UPDATE users SET totp_last_step = ? WHERE id = ?', [step, user.id], (err) => {
+        if (err) console.error('Error storing 2FA step:', err);
+        completeLogin(req, res, user, 'totp');
+      });
+    }
+
+    let recovery = [];
+    try { recovery = JSON.parse(user.totp_recovery || '[]'); } catch {}
+    const remaining = totp.consumeRecoveryCode(recovery, code);
+    if (remaining) {
+      return db.query('UPDATE users SET totp_recovery = ? WHERE id = ?', [JSON.stringify(remaining), user.id], (err) => {
+        if (err) {
+          console.error('Error consuming recovery code:', err);
+          return res.status(500).send('Internal server error');
+        }
+        console.log(`${user.username} logged in with a recovery code (${remaining.length} left)`);
+        completeLogin(req, res, user, 'recovery_code');
+      });
+    }
+
+    attempt.finish(true);
+    loginGuard.recordEvent({ username: user.username, ip: req.ip, success: false, reason: 'bad_2fa_code' });
+    return res.status(401).send('Invalid authentication code!');
+  });
+});
+
+// Dashboard row of one world
+function worldSummary(world) {
+  return {
+    id:               world.id,
+    name:             world.name,
+    status:           world.serverStatus,
+    uptime:           world.status.world_uptime_string || "",
+    login_connected:  world.status.login_connected || "disconnected",
+    api_error:        world.apiError,
+    pid:              world.pid,
+    process:          worldProcess(world).status(),
+    restart:          autoRestart.status(world.processName),
+    version:          world.version,
+    has_db:           world.db != null,
+    clients:          Array.isArray(world.clients.Clients) ? world.clients.Clients.length : null,
+    drain:            worldDrains.get(world.id).current()
+  };
+}
+
+// Login server part of the dashboard state
+function loginSummary() {
+  return {
+    login_status:  serverLoginStatus,
+    login_uptime:  loginStatus.login_uptime_string || "",
+    login_pid:     loginPID,
+    login_process: loginProcess.status(),
+    login_restart: autoRestart.status('login'),
+    login_version: loginVersion,
+    login_api_error: loginApiError
+  };
+}
+
+// Server files / jobs part of the dashboard state
+function serverSummary() {
+  return {
+    server_loaded:         ServerLoaded,
+    server_recompile:      ServerRecompile,
+    server_update_content: ServerUpdateContent,
+    build_job:             builds.current(),
+    content_job:           contentUpdates.current(),
+    next_restart:          scheduler.next()
+  };
+}
+
 app.get('/dashboard', (req, res) => {
   // 1) Not logged in → redirect and return
   if (!req.session.loggedin) {
@@ -338,71 +945,63 @@ app.get('/dashboard', (req, res) => {
 
   // 2) Logged in → compute your status vars
   let loginUptime    = "";
-  let worldUptime    = "";
-  let wl_connected   = "disconnected";
 
   if (loginStatus.login_uptime_string) {
     loginUptime = loginStatus.login_uptime_string;
   }
-  if (worldStatus.world_uptime_string) {
-    worldUptime = worldStatus.world_uptime_string;
-  }
-  if (worldStatus.login_connected) {
-    wl_connected = worldStatus.login_connected;
-  }
+  const worldRows = worlds.list().map(worldSummary);
+  const first = worldRows[0];
 
   // 3) Render exactly once, then return
   return res.render('dashboard', {
     username:              req.session.username,
     role:                  req.session.role,
+    permissions:           permissions.permissionsFor(req.session.role),
     uptime:                process.uptime(),
     login_status:          serverLoginStatus,
-    world_status:          serverWorldStatus,
     login_uptime:          loginUptime,
-    world_uptime:          worldUptime,
-    worldlogin_connected:  wl_connected,
     login_pid:             loginPID,
-    world_pid:             worldPID,
+    login_process:         loginProcess.status(),
+    login_restart:         autoRestart.status('login'),
+    login_version:         loginVersion,
+    login_api_error:       loginApiError,
+    worlds:                worldRows,
+    // first world under the single-world names
+    world_status:          first.status,
+    world_uptime:          first.uptime,
+    worldlogin_connected:  first.login_connected,
+    world_pid:             first.pid,
+    next_restart:          scheduler.next(),
     server_loaded:         ServerLoaded,
     server_recompile:      ServerRecompile,
-    server_update_content: ServerUpdateContent,
-    login_version:         loginVersion,
-    world_version:         worldVersion
+    build_job:             builds.current(),
+    content_job:           contentUpdates.current(),
+    server_update_content: ServerUpdateContent
   });
 });
 
 
 app.get('/dashboard_update', (req, res) => {
   if (req.session.loggedin) {
-	var loginUptime = "";
-	var worldUptime = "";
-	var wl_connected = "disconnected";
-	if(loginStatus.hasOwnProperty("login_uptime_string")) {
-		loginUptime = loginStatus.login_uptime_string;
-	}
-	if(worldStatus.hasOwnProperty("world_uptime_string")) {
-		worldUptime = worldStatus.world_uptime_string;
-	}
-	if(worldStatus.hasOwnProperty("login_connected")) {
-		wl_connected = worldStatus.login_connected;
-	}
+	var worldRows = worlds.list().map(worldSummary);
+	var first = worldRows[0];
 	res.setHeader('Content-Type', 'application/json');
     res.end(JSON.stringify({
       username: req.session.username,
       role: req.session.role,
+      permissions: permissions.permissionsFor(req.session.role),
       uptime: process.uptime(),
-      login_status: serverLoginStatus, // Use the polled server status
-      world_status: serverWorldStatus, // Use the polled server status,
-      login_uptime: loginUptime, // Use the polled server status
-      world_uptime: worldUptime, // Use the polled server status
-	  worldlogin_connected: wl_connected,
-	  login_pid: loginPID,
-	  world_pid: worldPID,
-	  server_loaded: ServerLoaded,
-	  server_recompile: ServerRecompile,
-	  server_update_content: ServerUpdateContent,
-	  login_version: loginVersion,
-	  world_version: worldVersion
+	  ...loginSummary(), // login_status, login_uptime, login_pid, ...
+	  worlds: worldRows, // one entry per world server, see worldSummary()
+	  // first world under the single-world names, for existing API clients
+      world_status: first.status,
+      world_uptime: first.uptime,
+	  worldlogin_connected: first.login_connected,
+	  world_pid: first.pid,
+	  world_process: first.process,
+	  world_restart: first.restart,
+	  world_version: first.version,
+	  ...serverSummary() // server_loaded, build_job, next_restart, ...
     }));
   } else {
     res.send(JSON.stringify({
@@ -411,23 +1010,33 @@ app.get('/dashboard_update', (req, res) => {
   }
 });
 
-app.get('/start_world', checkRole('admin'), (req, res) => {
+// Live dashboard: the current state, then change events (statusBus.js).
+// /dashboard_update stays for API clients and as the fallback.
+app.get('/dashboard_stream', (req, res) => {
+  if (!req.session.loggedin) {
+    return res.status(401).json({ ok: false, error: 'Not logged in' });
+  }
+  statusBus.stream(req, res);
+});
+
+app.post('/start_world', checkPermission('server.start'), withWorld, audit.track('world.start', { target: req => req.world.processName }), (req, res) => {
 	if(ServerLoaded == 1) {
-	  startWorldThrottled();
-	  res.send('Sent request to start world server');
+	  startWorldThrottled.get(req.world.id)();
+	  res.send('Sent request to start world server ' + req.world.name);
 	}
 	else {
 	  res.send('Server is loading and cannot handle the request at this time.');
 	}
 });
 
-app.get('/stop_world', checkRole('admin'), (req, res) => {
-  executeResult("pkill -9 eq2world");
-  res.send('Sent request to stop world server');
+app.post('/stop_world', checkPermission('server.stop'), withWorld, audit.track('world.stop', { target: req => req.world.processName }), (req, res) => {
+  worldDrains.get(req.world.id).cancel(`stopped by ${req.session.username}`);
+  worldProcess(req.world).stop();
+  res.send('Sent request to stop world server ' + req.world.name);
 });
 
-app.get('/view_world_log', checkRole('admin'), (req, res) => {
-    fs.readFile("/eq2emu/eq2emu/server/logs/eq2world.log", 'utf8', (err, data) => {
+app.get('/view_world_log', checkPermission('logs.view'), withWorld, (req, res) => {
+    fs.readFile(worldProcess(req.world).outputLog, 'utf8', (err, data) => {
     if (err) {
       return res.status(500).send('Error reading log file');
     }
@@ -436,7 +1045,7 @@ app.get('/view_world_log', checkRole('admin'), (req, res) => {
   });
 });
 
-app.get('/start_login', checkRole('admin'), (req, res) => {
+app.post('/start_login', checkPermission('server.start'), audit.track('login.start'), (req, res) => {
 	if(ServerLoaded == 1) {
 	  startLoginThrottled();
 	  res.send('Sent request to start login server');
@@ -446,12 +1055,12 @@ app.get('/start_login', checkRole('admin'), (req, res) => {
 	}
 });
 
-app.get('/stop_login', checkRole('admin'), (req, res) => {
-  executeResult("pkill -9 login");
+app.post('/stop_login', checkPermission('server.stop'), audit.track('login.stop'), (req, res) => {
+  loginProcess.stop();
   res.send('Sent request to stop login server');
 });
 
-app.get('/view_login_log', checkRole('admin'), (req, res) => {
+app.get('/view_login_log', checkPermission('logs.view'), (req, res) => {
     fs.readFile("/eq2emu/eq2emu/server/logs/eq2login.log", 'utf8', (err, data) => {
     if (err) {
       return res.status(500).send('Error reading log file');
@@ -461,45 +1070,62 @@ app.get('/view_login_log', checkRole('admin'), (req, res) => {
   });
 });
 
-app.get('/world_clients', checkRole('admin'), (req, res) => {
-  res.render('world_clients', { clients : worldClients });
+app.get('/restart_history', checkPermission('logs.view'), (req, res) => {
+  autoRestart.history({ process: req.query.process, limit: req.query.limit })
+    .then(rows => res.json({ ok: true, history: rows }))
+    .catch(err => res.status(500).json({ ok: false, error: err.message }));
 });
 
-app.get('/kill_server', checkRole('admin'), (req, res) => {
+app.post('/kill_server', checkPermission('dawn.restart'), (req, res) => {
   res.send('Sent request to kill/restart dawn server.');
-  process.exit(0);
+  // Record before exiting; the process is gone once the entry would normally be written
+  audit.record({ req, action: 'dawn.restart' }).finally(() => process.exit(0));
 });
 
-app.get('/kill_and_compile', checkRole('admin'), (req, res) => {
+app.post('/kill_and_compile', checkPermission('server.compile'), (req, res) => {
   res.send('Sent request to kill/restart world, login and dawn server.');
   ServerLoaded = 0;
   executeResult("touch /eq2emu/eq2emu_dawnserver/recompile");
-  executeResult("pkill -9 login");
-  executeResult("pkill -9 eq2world");
-  process.exit(0);
+  // Let both servers shut down cleanly (saves included) before Dawn exits
+  supervisor.stopAll()
+    .then(() => audit.record({ req, action: 'server.compile' }))
+    .finally(() => process.exit(0));
 });
 
-app.get('/update_content', checkRole('admin'), (req, res) => {
-  executeScript("./update_content_fromweb.sh");
-  res.send('Sent request to update world content.');
-  res.end();
+// Update the current content branch, keeping local script edits (choices and preview: /content)
+app.post('/update_content', checkPermission('content.update'), audit.track('content.update', { target: () => '(current branch)' }), (req, res) => {
+  contentUpdates.start({ keepLocal: true, username: req.session.username })
+    .then(job => res.json({ ok: true, jobId: job.id }))
+    .catch(err => res.status(err.status || 500).json({ ok: false, error: err.message }));
+});
+
+// Discard local script edits: the content checkout is copied over the server's scripts
+// (overwritten files are backed up first). Needs an explicit { confirm: true }.
+app.post('/reset_content', checkPermission('content.update'), audit.track('content.reset'), (req, res) => {
+  const confirmed = req.body && [true, 'true', '1'].includes(req.body.confirm);
+  if (!confirmed) {
+    return res.status(400).json({ ok: false, error: 'Resetting content discards local script edits; send confirm: true' });
+  }
+  contentUpdates.reset({ username: req.session.username })
+    .then(job => res.json({ ok: true, jobId: job.id }))
+    .catch(err => res.status(err.status || 500).json({ ok: false, error: err.message }));
 });
 
-app.post('/setadminstatus', checkRole('admin'), (req, res) => {
+app.post('/setadminstatus', checkPermission('clients.setstatus'), withWorld, audit.track('clients.setadminstatus', { target: req => req.body.charname }), (req, res) => {
   var charname = req.body.charname;
   var status = req.body.status;
   if(charname == null || charname.length < 1 || status == null || status.length < 1) {
 	  return res.status(500).send('Error, invalid set admin status call, charname: ' + charname + ', status: ' + status + ' body: ' + JSON.stringify(req.body));
   }
-  var response = postStatus(remoteWorldServerUrl + "/setadminstatus", JSON.stringify({character_name : charname, new_status: status}), sslFiles, world_username, world_password);
-  res.send(response);
-  res.end();
+  req.world.api.post("/setadminstatus", {character_name : charname, new_status: status})
+    .then(response => res.json({ ok: true, response }))
+    .catch(err => res.status(err.status || 500).json({ ok: false, code: err.code, error: err.message }));
 });
 
-app.get('/reloadrules', checkRole('admin'), (req, res) => {
-  var response = postStatus(remoteWorldServerUrl + "/reloadrules", JSON.stringify({}), sslFiles, world_username, world_password);
-  res.send(response);
-  res.end();
+app.post('/reloadrules', checkPermission('rules.edit'), withWorld, audit.track('rules.reload', { target: req => req.world.processName }), (req, res) => {
+  req.world.api.post("/reloadrules", {})
+    .then(response => res.json({ ok: true, response }))
+    .catch(err => res.status(err.status || 500).json({ ok: false, code: err.code, error: err.message }));
 });
 
 const allowedFiles = [
@@ -508,14 +1134,20 @@ const allowedFiles = [
     { path: '/eq2emu/eq2emu/server/logs/eq2login.log', name: 'eq2login.log' },
     { path: '/eq2emu/eq2emu/server/logs/eq2login_last.log', name: 'eq2login_last.log' },
     { path: '/eq2emu/eq2emu/server/logs/eq2world.log', name: 'eq2world.log' },
-    { path: '/eq2emu/eq2emu/server/logs/eq2world_last.log', name: 'eq2world_last.log' }
+    { path: '/eq2emu/eq2emu/server/logs/eq2world_last.log', name: 'eq2world_last.log' },
+    // Output logs of additional world servers
+    ...worlds.list().slice(1).flatMap(w => {
+      const log = worldProcess(w).outputLog;
+      const last = log.replace(/\.log$/, '_last.log');
+      return [{ path: log, name: path.basename(log) }, { path: last, name: path.basename(last) }];
+    })
 ];
 
-app.get('/download_report', checkRole('admin'), (req, res) => {
+app.get('/download_report', checkPermission('diag.download'), (req, res) => {
     res.render('download_report', { allowedFiles });
 });
 
-app.post('/download_diag', checkRole('admin'), (req, res) => {
+app.post('/download_diag', checkPermission('diag.download'), audit.track('diag.download'), (req, res) => {
     const selectedFiles = req.body.files;
 
     if (!selectedFiles || selectedFiles.length === 0) {
@@ -561,20 +1193,22 @@ app.post('/download_diag', checkRole('admin'), (req, res) => {
 });
 
 
-// Function to keep MySQL connection alive
-const keepAliveWorld = () => {
-	if(world_db != null) {
-	  world_db.ping((err) => {
-		if (err) {
-		  console.error('Error pinging database:', err);
-		}
-	  });
-	}
-};
-// Ping the database every 5 minutes (300000 milliseconds)
-setInterval(keepAliveWorld, 300000);
+// Keep the world DB connections alive: ping every 5 minutes (300000 milliseconds)
+setInterval(worlds.pingDatabases, 300000);
+
+// Ruleset pages work on the selected world's DB (worlddb per world in config.worlds)
+function withWorldDb(req, res, next) {
+  withWorld(req, res, () => {
+    if (req.world.db == null) return res.status(500).send('No world database is configured for ' + req.world.name);
+    next();
+  });
+}
+
+const rulesetsUrl = (req, rulesetId) =>
+  '/rulesets?world=' + encodeURIComponent(req.world.id) + (rulesetId != null ? '&ruleset_id=' + encodeURIComponent(rulesetId) : '');
 
-app.get('/rulesets', checkRole('admin'), (req, res) => {
+app.get('/rulesets', checkPermission('rules.view'), withWorldDb, (req, res) => {
+  const world_db = req.world.db;
   const selectedRulesetId = req.query.ruleset_id || ''; // Get selected ruleset_id from the query parameters
   
   // Fetch all available rulesets for the dropdown
@@ -587,7 +1221,7 @@ app.get('/rulesets', checkRole('admin'), (req, res) => {
 
 		if (!selectedRulesetId) {
 		  // If no ruleset is selected, just render the page with the dropdown
-		  return res.render('rulesets', { rulesetList, selectedRuleset: null, error: null, rulesetDetails: [] });
+		  return res.render('rulesets', { rulesetList, selectedRuleset: null, error: null, rulesetDetails: [], canEdit: permissions.can(req.session.role, 'rules.edit'), world: req.world });
 		}
 
 		// Fetch the selected ruleset details
@@ -607,14 +1241,17 @@ app.get('/rulesets', checkRole('admin'), (req, res) => {
 			rulesetList,
 			selectedRuleset: results[0], // Send selected ruleset's info
 			error: null,
-			rulesetDetails: results // Send all details of the selected ruleset
+			rulesetDetails: results, // Send all details of the selected ruleset
+			canEdit: permissions.can(req.session.role, 'rules.edit'),
+			world: req.world
 		  });
 		});
 	  });
   }
 });
 
-app.post('/add_ruleset', checkRole('admin'), (req, res) => {
+app.post('/add_ruleset', checkPermission('rules.edit'), withWorldDb, audit.track('rules.add_ruleset', { target: req => req.body.ruleset_id }), (req, res) => {
+  const world_db = req.world.db;
   const { ruleset_id, ruleset_name } = req.body;
   const query = 'INSERT INTO rulesets (ruleset_id, ruleset_name, ruleset_active) VALUES (?, ?, 1)';
   if(world_db != null) {
@@ -622,12 +1259,13 @@ app.post('/add_ruleset', checkRole('admin'), (req, res) => {
 		if (err) {
 		  return res.status(500).send(`Error adding ruleset: ${err.message}`);
 		}
-		res.redirect('/rulesets?ruleset_id=' + ruleset_id);
+		res.redirect(rulesetsUrl(req, ruleset_id));
 	  });
   }
 });
 
-app.post('/ruleset_update/:id', checkRole('admin'), (req, res) => {
+app.post('/ruleset_update/:id', checkPermission('rules.edit'), withWorldDb, audit.track('rules.update_ruleset', { target: req => req.params.id }), (req, res) => {
+  const world_db = req.world.db;
   const { ruleset_name, ruleset_active } = req.body;
   const query = 'UPDATE rulesets SET ruleset_name = ?, ruleset_active = ? WHERE id = ?';
   if(world_db != null) {
@@ -635,60 +1273,65 @@ app.post('/ruleset_update/:id', checkRole('admin'), (req, res) => {
 		if (err) {
 		  return res.status(500).send(`Error updating ruleset: ${err.message}`);
 		}
-		res.redirect('/rulesets?ruleset_id=' + req.params.id);
+		res.redirect(rulesetsUrl(req, req.params.id));
 	  });
   }
 });
 
-app.post('/ruleset_delete/:id', checkRole('admin'), (req, res) => {
+app.post('/ruleset_delete/:id', checkPermission('rules.edit'), withWorldDb, audit.track('rules.delete_ruleset', { target: req => req.params.id }), (req, res) => {
+  const world_db = req.world.db;
   const query = 'DELETE FROM rulesets WHERE id = ?';
   if(world_db != null) {
 	  world_db.query(query, [req.params.id], (err, result) => {
 		if (err) {
 		  return res.status(500).send(`Error deleting ruleset: ${err.message}`);
 		}
-		res.redirect('/rulesets');
+		res.redirect(rulesetsUrl(req));
 	  });
   }
 });
 
 // Add details to ruleset
-app.post('/add-rule-value', checkRole('admin'), (req, res) => {
+app.post('/add-rule-value', checkPermission('rules.edit'), withWorldDb, audit.track('rules.add_value', { target: req => req.body.ruleset_id }), (req, res) => {
+  const world_db = req.world.db;
   const { ruleset_id, rule_category, rule_type, rule_value, description } = req.body;
   const query = 'INSERT INTO ruleset_details (ruleset_id, rule_category, rule_type, rule_value, description) VALUES (?, ?, ?, ?, ?)';
   if(world_db != null) {
 	  world_db.query(query, [ruleset_id, rule_category, rule_type, rule_value, description], (err, result) => {
 		if (err) throw err;
-		res.redirect('/rulesets?ruleset_id=' + ruleset_id);
+		res.redirect(rulesetsUrl(req, ruleset_id));
 	  });
   }
 });
 
 // Update details of ruleset
-app.post('/update-detail/:id', checkRole('admin'), (req, res) => {
+app.post('/update-detail/:id', checkPermission('rules.edit'), withWorldDb, audit.track('rules.update_detail', { target: req => req.params.id }), (req, res) => {
+  const world_db = req.world.db;
   const { rule_category, rule_type, rule_value, description } = req.body;
   const query = 'UPDATE ruleset_details SET rule_category = ?, rule_type = ?, rule_value = ?, description = ? WHERE id = ?';
   if(world_db != null) {
 	  world_db.query(query, [rule_category, rule_type, rule_value, description, req.params.id], (err, result) => {
 		if (err) throw err;
-		res.redirect('/rulesets');
+		res.redirect(rulesetsUrl(req));
 	  });
   }
 });
 
 // Delete ruleset detail
-app.post('/delete-detail/:id',checkRole('admin'), (req, res) => {
+app.post('/delete-detail/:id', checkPermission('rules.edit'), withWorldDb, audit.track('rules.delete_detail', { target: req => req.params.id }), (req, res) => {
+  const world_db = req.world.db;
   const { ruleset_id } = req.body;
   const query = 'DELETE FROM ruleset_details WHERE id = ?';
   if(world_db != null) {
 	  world_db.query(query, [req.params.id], (err, result) => {
 		if (err) throw err;
-		res.redirect('/rulesets?ruleset_id=' + ruleset_id);
+		res.redirect(rulesetsUrl(req, ruleset_id));
 	  });
   }
 });
 
-app.post('/update-rule-value/:id', checkRole('admin'), (req, res) => {
+app.post('/update-rule-value/:id', checkPermission('rules.edit'), withWorldDb, audit.track('rules.update_value', { target: req => req.params.id }), (req, res) => {
+  const world_db = req.world.db;
   const { ruleset_id, rule_value } = req.body;
   const query = 'UPDATE ruleset_details SET rule_value = ? WHERE id = ?';
   if(world_db != null) {
@@ -696,7 +1339,7 @@ app.post('/update-rule-value/:id', checkRole('admin'), (req, res) => {
 		if (err) {
 		  return res.status(500).send(`Error updating rule value: ${err.message}`);
 		}
-		res.redirect('/rulesets?ruleset_id=' + ruleset_id);
+		res.redirect(rulesetsUrl(req, ruleset_id));
 	  });
   }
 });
@@ -706,28 +1349,40 @@ const login_username = config.polling.login_admin ?? ""; // Replace with actual
 const login_password = config.polling.login_password ?? ""; // Replace with actual password
 const disableLogin = config.polling.disable_login ?? "0";
 
-const remoteWorldServerUrl = config.polling.world_address ?? "https://127.0.0.1:9002";
-const world_username = config.polling.world_admin; // Replace with actual username
-const world_password = config.polling.world_password; // Replace with actual password
 
 serverLoadedPolling();
 
-// Start polling if URL is provided
-if (remoteLoginServerUrl && disableLogin === "0") {
-  startLoginPolling(remoteLoginServerUrl, login_username, login_password);
+// Services that read their tables on start; started from db.connect once ensureSchema() is done
+function startServices() {
+  scheduler.start();
+  statusHistory.start();
+  notifications.start();
+  playerSessions.start();
 }
 
+// Initial dashboard state (topic order: login, worlds, server, uptime)
+publishLogin();
+worlds.list().forEach(publishWorld);
+publishServer();
+publishUptime();
+setInterval(publishUptime, UPTIME_PUBLISH_MS);
+
 // Start polling if URL is provided
-if (remoteWorldServerUrl) {
-  startWorldPolling(remoteWorldServerUrl, world_username, world_password);
-  startWorldClientPolling(remoteWorldServerUrl + "/clients", world_username, world_password);
+if (remoteLoginServerUrl && disableLogin === "0") {
+  startLoginPolling(new AdminApiClient({
+    name: 'Login',
+    address: remoteLoginServerUrl,
+    username: login_username,
+    password: login_password,
+    ...clientOptions(config)
+  }));
 }
 
-const sslFiles = {
-    key: config.http.server_key,
-    cert: config.http.server_cert,
-    ca: config.http.server_ca
-};
+// Status and client polling for every world server
+for (const world of worlds.list()) {
+  startWorldPolling(world);
+  startWorldClientPolling(world);
+}
 
 const sslOptions = {
     key: fs.readFileSync(config.http.server_key),
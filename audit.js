@@ -0,0 +1,133 @@
+// audit.js
+// -------------------------------------------------------------
+// Audit trail of administrative actions (audit_log table).
+// - track(action): route middleware; records user, target, redacted
+//   params, outcome (from the response status) and source IP once
+//   the response has finished
+// - record(): direct entry for things that finish elsewhere
+//   (background jobs, process exits)
+// - search()/toCsv() back the admin viewer and CSV export
+// -------------------------------------------------------------
+
+const { query } = require('./dawnDb');
+
+const REDACT_KEYS = /pass|secret|token|code|salt|csrf/i;
+const MAX_PARAMS_LEN = 4000;
+
+const logW = (...a) => console.warn('[audit:warn]', ...a);
+
+/** Deep-copy with sensitive values replaced */
+function redact(value, depth = 0) {
+  if (value == null || depth > 4) return value;
+  if (Array.isArray(value)) return value.slice(0, 50).map(v => redact(v, depth + 1));
+  if (typeof value === 'object') {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) {
+      out[k] = REDACT_KEYS.test(k) ? '[redacted]' : redact(v, depth + 1);
+    }
+    return out;
+  }
+  return value;
+}
+
+function actorOf(req) {
+  const s = (req && req.session) || {};
+  return {
+    username: s.username || null,
+    via: s.apiToken ? `token:${s.apiToken.id}` : 'session'
+  };
+}
+
+// Text starting like a formula (=, +, -, @, tab, CR) would run in a spreadsheet; a leading ' keeps it text
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function csvCell(v) {
+  if (v == null) return '';
+  if (typeof v === 'number') return String(v);
+  const s = v instanceof Date ? v.toISOString() : String(v);
+  if (FORMULA_START.test(s)) return `"'${s.replace(/"/g, '""')}"`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function createAuditLog({ db }) {
+  /** Never throws; audit failures must not break the action itself */
+  function record({ req, username, via, action, target = null, params = null, outcome = 'success', detail = null, ip }) {
+    const actor = req ? actorOf(req) : { username: null, via: null };
+    let paramsJson = null;
+    if (params != null) {
+      paramsJson = JSON.stringify(redact(params));
+      if (paramsJson.length > MAX_PARAMS_LEN) paramsJson = paramsJson.slice(0, MAX_PARAMS_LEN) + '…';
+    }
+    return query(db,
+      'INSERT INTO audit_log (username, via, action, target, params, outcome, detail, ip) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+      [
+        username || actor.username || 'system',
+        via || actor.via || 'system',
+        action,
+        target == null ? null : String(target).slice(0, 255),
+        paramsJson,
+        outcome,
+        detail == null ? null : String(detail).slice(0, 1000),
+        String(ip || (req && req.ip) || '').slice(0, 64)
+      ])
+      .catch(e => logW(`Could not record ${action}:`, e.message));
+  }
+
+  /**
+   * Route middleware. opts.target(req) and opts.params(req) pick what to log;
+   * params default to route params + body.
+   */
+  function track(action, opts = {}) {
+    return (req, res, next) => {
+      const target = opts.target ? opts.target(req) : null;
+      const params = opts.params ? opts.params(req) : { ...req.params, ...(req.body || {}) };
+      let done = false;
+      const finish = (outcome, detail) => {
+        if (done) return;
+        done = true;
+        record({ req, action, target, params, outcome, detail });
+      };
+      res.on('finish', () => {
+        finish(res.statusCode < 400 ? 'success' : 'failure', res.statusCode < 400 ? null : `HTTP ${res.statusCode}`);
+      });
+      res.on('close', () => finish('aborted', 'Connection closed before response finished'));
+      next();
+    };
+  }
+
+  async function search({ username, action, from, to, limit = 200, offset = 0 } = {}) {
+    const where = [];
+    const args = [];
+    if (username) { where.push('username = ?'); args.push(username); }
+    if (action) { where.push('action LIKE ?'); args.push(`${action}%`); }
+    if (from) { where.push('created_at >= ?'); args.push(new Date(from)); }
+    if (to) { where.push('created_at <= ?'); args.push(new Date(to)); }
+    const whereSql = where.length ? 'WHERE ' + where.join(' AND ') : '';
+
+    const total = (await query(db, `SELECT COUNT(*) AS n FROM audit_log ${whereSql}`, args))[0].n;
+    const rows = await query(db,
+      `SELECT id, created_at, username, via, action, target, params, outcome, detail, ip FROM audit_log
+       ${whereSql} ORDER BY id DESC LIMIT ? OFFSET ?`,
+      [...args, Math.max(1, Math.min(10000, Number(limit) || 200)), Math.max(0, Number(offset) || 0)]);
+    return { total, rows };
+  }
+
+  async function actions() {
+    const rows = await query(db, 'SELECT DISTINCT action FROM audit_log ORDER BY action');
+    return rows.map(r => r.action);
+  }
+
+  function toCsv(rows) {
+    const cols = ['id', 'created_at', 'username', 'via', 'action', 'target', 'params', 'outcome', 'detail', 'ip'];
+    const lines = [cols.join(',')];
+    for (const r of rows) lines.push(cols.map(c => csvCell(r[c])).join(','));
+    return lines.join('\r\n') + '\r\n';
+  }
+
+  return { record, track, search, actions, toCsv };
+}
+
+module.exports = {
+  createAuditLog,
+  redact
+};
@@ -0,0 +1,170 @@
+// autoRestart.js
+// -------------------------------------------------------------
+// Automatic restarts for supervised servers (http.auto_restart = "1").
+// - Unexpected exits are restarted after an exponential backoff
+// - Crash-loop detection: after `crash_loop_failures` exits within
+//   `crash_loop_window_minutes` restarts stop until a manual start
+// - A run longer than `stable_seconds` clears the failure count
+// - Servers stopped on purpose stay down until started again
+// - Every unexpected exit is recorded in process_restarts with the
+//   exit reason, uptime and last output lines
+// Settings: config.restart_policy (optional), see DEFAULTS.
+// -------------------------------------------------------------
+
+const { query } = require('./dawnDb');
+const { describeExit } = require('./supervisor');
+
+const DEFAULTS = {
+  base_delay_seconds: 5,
+  max_delay_seconds: 300,
+  crash_loop_failures: 5,
+  crash_loop_window_minutes: 10,
+  stable_seconds: 300,
+  log_lines: 40
+};
+
+// How often a due restart re-checks while the server files are busy (compile / content update)
+const NOT_READY_RETRY_MS = 5000;
+
+const logI = (...a) => console.log('[auto-restart]', ...a);
+const logW = (...a) => console.warn('[auto-restart:warn]', ...a);
+
+/**
+ * @param {object}   db         Dawn DB connection
+ * @param {object}   supervisor from createSupervisor()
+ * @param {function} enabled    () => bool, auto-restart switched on
+ * @param {function} ready      () => bool, false while binaries/content are being replaced
+ * @param {function} onGiveUp   (name, exits, windowMinutes) => void, crash loop detected
+ * @param {object}   options    config.restart_policy
+ */
+function createAutoRestart({ db, supervisor, enabled, ready, onGiveUp, options = {} }) {
+  const opts = { ...DEFAULTS, ...options };
+  const states = new Map(); // name -> { failures: [ts], timer, nextAttemptAt, gaveUp, held, exits, restarts }
+
+  function stateOf(name) {
+    if (!states.has(name)) {
+      // exits / restarts: totals since Dawn started (metrics)
+      states.set(name, { failures: [], timer: null, nextAttemptAt: null, gaveUp: false, held: false, exits: 0, restarts: 0 });
+    }
+    return states.get(name);
+  }
+
+  function clearTimer(st) {
+    clearTimeout(st.timer);
+    st.timer = null;
+    st.nextAttemptAt = null;
+  }
+
+  function delayFor(attempt) {
+    const seconds = Math.min(opts.base_delay_seconds * 2 ** Math.max(0, attempt - 1), opts.max_delay_seconds);
+    return Math.round(seconds * 1000);
+  }
+
+  function record(proc, exit, action, delayMs) {
+    return query(db,
+      `INSERT INTO process_restarts (process, exited_at, exit_code, exit_signal, reason, uptime_seconds, action, restart_delay_ms, last_log)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [proc.name, exit.at, exit.code, exit.signal, describeExit(exit).slice(0, 255), exit.uptimeSeconds || 0,
+        action, delayMs == null ? null : delayMs, proc.outputTail(opts.log_lines).join('\n')])
+      .catch(e => logW(`Could not record ${proc.name} exit:`, e.message));
+  }
+
+  function attempt(proc) {
+    const st = stateOf(proc.name);
+    clearTimer(st);
+    if (st.gaveUp || st.held || proc.state !== 'stopped' || !enabled()) return;
+    if (!ready()) {
+      st.nextAttemptAt = new Date(Date.now() + NOT_READY_RETRY_MS);
+      st.timer = setTimeout(() => attempt(proc), NOT_READY_RETRY_MS);
+      return;
+    }
+    proc.start().catch(e => logW(`${proc.name}: restart failed:`, e.message));
+  }
+
+  function onExit(proc, exit) {
+    const st = stateOf(proc.name);
+    clearTimer(st);
+    if (exit.requested) {
+      // Stopped on purpose: leave it down until someone starts it
+      st.held = true;
+      return;
+    }
+    st.exits++;
+    if (!enabled()) {
+      record(proc, exit, 'none', null);
+      return;
+    }
+
+    const now = Date.now();
+    if ((exit.uptimeSeconds || 0) >= opts.stable_seconds) st.failures = [];
+    st.failures = st.failures.filter(t => now - t < opts.crash_loop_window_minutes * 60000);
+    st.failures.push(now);
+
+    if (st.failures.length >= opts.crash_loop_failures) {
+      st.gaveUp = true;
+      logW(`${proc.name}: ${st.failures.length} exits within ${opts.crash_loop_window_minutes} min, crash loop; auto-restart stopped until a manual start`);
+      record(proc, exit, 'gave_up', null);
+      if (onGiveUp) onGiveUp(proc.name, st.failures.length, opts.crash_loop_window_minutes);
+      return;
+    }
+
+    const delayMs = delayFor(st.failures.length);
+    logI(`${proc.name}: ${describeExit(exit)}; restarting in ${delayMs / 1000}s (attempt ${st.failures.length})`);
+    record(proc, exit, 'restart', delayMs);
+    st.restarts++;
+    st.nextAttemptAt = new Date(now + delayMs);
+    st.timer = setTimeout(() => attempt(proc), delayMs);
+  }
+
+  for (const proc of supervisor.list()) {
+    proc.on('exit', (exit) => onExit(proc, exit));
+  }
+
+  /**
+   * Polling hook: bring up a server that is down without a pending restart
+   * (first start after Dawn boots, or after a compile)
+   */
+  function ensureRunning(name) {
+    const st = stateOf(name);
+    if (st.timer || st.gaveUp || st.held || !enabled() || !ready()) return;
+    const proc = supervisor.get(name);
+    if (proc.state === 'stopped') proc.start().catch(e => logW(`${name}: start failed:`, e.message));
+  }
+
+  /** Manual start: clears crash-loop / stopped-on-purpose state */
+  function start(name) {
+    const st = stateOf(name);
+    clearTimer(st);
+    st.failures = [];
+    st.gaveUp = false;
+    st.held = false;
+    return supervisor.get(name).start();
+  }
+
+  function status(name) {
+    const st = stateOf(name);
+    return {
+      state: st.gaveUp ? 'crash_loop' : st.timer ? 'scheduled' : st.held ? 'held' : 'idle',
+      recentFailures: st.failures.length,
+      nextAttemptAt: st.nextAttemptAt,
+      unexpectedExits: st.exits,
+      restarts: st.restarts
+    };
+  }
+
+  async function history({ process: name, limit = 20 } = {}) {
+    const args = [];
+    let where = '';
+    if (name) { where = 'WHERE process = ?'; args.push(name); }
+    args.push(Math.max(1, Math.min(500, Number(limit) || 20)));
+    return query(db,
+      `SELECT id, process, exited_at, exit_code, exit_signal, reason, uptime_seconds, action, restart_delay_ms, last_log
+       FROM process_restarts ${where} ORDER BY id DESC LIMIT ?`, args);
+  }
+
+  return { ensureRunning, start, status, history };
+}
+
+module.exports = {
+  createAutoRestart
+};
@@ -0,0 +1,185 @@
+// binaryArchive.js
+// -------------------------------------------------------------
+// Archive of deployed login / eq2world binaries, with rollback.
+// - install(): archive a freshly built binary and put it in place
+//   (copy + rename, so a running server keeps its old image)
+// - Every archived binary records its git commit / `git describe`,
+//   sha256, and the /version info once the server reports it
+// - Keeps the last `keep` binaries per server (the deployed one is
+//   never pruned)
+// - syncDeployed(): archives binaries put in place outside Dawn
+//   (compile_source_web.sh at startup)
+// - rollback(): redeploy an archived binary
+// Settings: config.binary_archive (optional), see DEFAULTS.
+// -------------------------------------------------------------
+
+const fs = require('fs');
+const fsp = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { query } = require('./dawnDb');
+
+const DEFAULTS = {
+  server_dir: '/eq2emu/eq2emu/server',
+  archive_dir: '/eq2emu/eq2emu/server/archive',
+  keep: 5,
+  binaries: {
+    login: 'login',
+    eq2world: 'eq2world'
+  }
+};
+
+const logI = (...a) => console.log('[binary-archive]', ...a);
+const logW = (...a) => console.warn('[binary-archive:warn]', ...a);
+
+function sha256File(file) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(file)
+      .on('error', reject)
+      .on('data', d => hash.update(d))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+/**
+ * @param {object} db      Dawn DB connection
+ * @param {object} options config.binary_archive
+ */
+function createBinaryArchive({ db, options = {} }) {
+  const opts = { ...DEFAULTS, ...options, binaries: { ...DEFAULTS.binaries, ...(options.binaries || {}) } };
+
+  function binaryName(target) {
+    const name = opts.binaries[target];
+    if (!name) throw Object.assign(new Error(`Unknown server: ${target}`), { status: 400 });
+    return name;
+  }
+
+  const deployedPath = (target) => path.join(opts.server_dir, binaryName(target));
+
+  // Copy next to the destination, then rename: replaces the file even while the old binary runs
+  async function place(file, dest) {
+    const tmp = `${dest}.new`;
+    await fsp.copyFile(file, tmp);
+    await fsp.chmod(tmp, 0o755);
+    await fsp.rename(tmp, dest);
+  }
+
+  async function markDeployed(target, id) {
+    await query(db,
+      'UPDATE binary_archive SET deployed = (id = ?), deployed_at = IF(id = ?, ?, deployed_at) WHERE target = ?',
+      [id, id, new Date(), target]);
+  }
+
+  async function prune(target) {
+    const rows = await query(db,
+      'SELECT id, file_path, deployed FROM binary_archive WHERE target = ? ORDER BY id DESC', [target]);
+    const old = rows.slice(Math.max(1, Number(opts.keep) || DEFAULTS.keep)).filter(r => !r.deployed);
+    for (const row of old) {
+      await fsp.rm(row.file_path, { force: true }).catch(e => logW(`Could not remove ${row.file_path}:`, e.message));
+      await query(db, 'DELETE FROM binary_archive WHERE id = ?', [row.id]);
+    }
+  }
+
+  async function addToArchive(target, file, { commit, version, buildJobId, username, source }) {
+    const sha = await sha256File(file);
+    const stat = await fsp.stat(file);
+    const dir = path.join(opts.archive_dir, target);
+    await fsp.mkdir(dir, { recursive: true });
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\..*$/, '');
+    const archived = path.join(dir, `${binaryName(target)}_${stamp}_${(commit || sha).slice(0, 10)}`);
+    await fsp.copyFile(file, archived);
+
+    const result = await query(db,
+      `INSERT INTO binary_archive (target, file_path, sha256, size_bytes, commit_hash, git_version, build_job_id, source, archived_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [target, archived, sha, stat.size, commit || null, version || null, buildJobId || null, source, username || null]);
+    return { id: result.insertId, archived, sha };
+  }
+
+  /**
+   * Archive a freshly built binary and deploy it.
+   * meta: { commit, version, buildJobId, username }
+   */
+  async function install(target, file, meta = {}) {
+    const { id, archived } = await addToArchive(target, file, { ...meta, source: 'build' });
+    await place(archived, deployedPath(target));
+    await markDeployed(target, id);
+    await prune(target).catch(e => logW(`Could not prune ${target} archive:`, e.message));
+    logI(`${target}: deployed ${meta.version || ''} (archive #${id})`);
+    return id;
+  }
+
+  /**
+   * Archive deployed binaries that Dawn didn't put in place (e.g. the startup compile).
+   * sourceVersion: async () => { commit, version } of the source tree, or null
+   */
+  async function syncDeployed(sourceVersion) {
+    for (const target of Object.keys(opts.binaries)) {
+      const file = deployedPath(target);
+      if (!fs.existsSync(file)) continue;
+      try {
+        const sha = await sha256File(file);
+        const rows = await query(db, 'SELECT id, deployed FROM binary_archive WHERE target = ? AND sha256 = ? ORDER BY id DESC LIMIT 1', [target, sha]);
+        if (rows.length) {
+          if (!rows[0].deployed) await markDeployed(target, rows[0].id);
+          continue;
+        }
+        const src = (await Promise.resolve(sourceVersion && sourceVersion()).catch(() => null)) || {};
+        const { id } = await addToArchive(target, file, { commit: src.commit, version: src.version, source: 'external' });
+        await markDeployed(target, id);
+        await prune(target);
+        logI(`${target}: archived binary deployed outside Dawn (archive #${id})`);
+      } catch (e) {
+        logW(`${target}: could not archive the deployed binary:`, e.message);
+      }
+    }
+  }
+
+  /**
+   * Remember the /version report for the deployed binary, once a server
+   * started after its deployment answers.
+   */
+  async function recordServerVersion(target, versionInfo, startedAt) {
+    if (!versionInfo || !startedAt) return;
+    await query(db,
+      `UPDATE binary_archive SET server_version = ?
+       WHERE target = ? AND deployed = 1 AND server_version IS NULL AND deployed_at <= ?`,
+      [JSON.stringify(versionInfo), target, startedAt])
+      .catch(e => logW(`Could not record ${target} version:`, e.message));
+  }
+
+  async function list() {
+    const rows = await query(db,
+      `SELECT id, target, sha256, size_bytes, commit_hash, git_version, server_version, build_job_id, source,
+              archived_by, archived_at, deployed, deployed_at
+       FROM binary_archive ORDER BY target, id DESC`);
+    return rows.map(r => {
+      let serverVersion = null;
+      try { serverVersion = r.server_version ? JSON.parse(r.server_version) : null; } catch { serverVersion = null; }
+      return { ...r, deployed: !!r.deployed, server_version: serverVersion };
+    });
+  }
+
+  /** Put archived binary `id` back in place; returns its row. The caller restarts the server. */
+  async function rollback(id) {
+    const rows = await query(db, 'SELECT id, target, file_path, sha256, git_version, deployed FROM binary_archive WHERE id = ?', [id]);
+    const row = rows[0];
+    if (!row) throw Object.assign(new Error('Unknown archived binary'), { status: 404 });
+    if (row.deployed) throw Object.assign(new Error('This binary is already deployed'), { status: 409 });
+    if (!fs.existsSync(row.file_path)) throw Object.assign(new Error(`Archived file is missing: ${row.file_path}`), { status: 410 });
+    if (await sha256File(row.file_path) !== row.sha256) {
+      throw Object.assign(new Error('Archived file does not match its checksum'), { status: 409 });
+    }
+    await place(row.file_path, deployedPath(row.target));
+    await markDeployed(row.target, row.id);
+    logI(`${row.target}: rolled back to archive #${row.id} (${row.git_version || row.sha256.slice(0, 12)})`);
+    return row;
+  }
+
+  return { install, syncDeployed, recordServerVersion, list, rollback, deployedPath };
+}
+
+module.exports = {
+  createBinaryArchive
+};
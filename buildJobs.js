@@ -0,0 +1,274 @@
+// buildJobs.js
+// -------------------------------------------------------------
+// Tracked source builds of the login / world servers.
+// - Checks out a branch, tag or commit (or pulls the current branch)
+// - Clean (make clean + make) or incremental (make) builds
+// - Output streams live through the job log (jobs.js, SSE)
+// - Binaries are deployed only when every selected target built,
+//   through the binary archive (binaryArchive.js) so they can be
+//   rolled back; running servers are unaffected until restarted
+// - Optionally restarts the servers that were running
+// - rollback(): redeploy an archived binary and restart its server
+// - Each job is recorded in build_jobs: result, duration, commit and
+//   `git describe` version
+// Settings: config.build (optional), see DEFAULTS.
+// -------------------------------------------------------------
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { query } = require('./dawnDb');
+const { createJobStore, runCommand } = require('./jobs');
+
+const execFileP = promisify(execFile);
+
+const DEFAULTS = {
+  source_dir: '/eq2emu/eq2emu/source',
+  remote: 'origin',
+  make_jobs: 0, // 0 = number of CPUs
+  log_tail_lines: 200,
+  targets: {
+    login: { dir: 'LoginServer', binary: 'login' },
+    eq2world: { dir: 'WorldServer', binary: 'eq2world' }
+  }
+};
+
+// Branch / tag names and commit hashes; never an option (-x) or a path escape
+const REF_RE = /^[A-Za-z0-9][A-Za-z0-9._\/-]{0,199}$/;
+
+const logW = (...a) => console.warn('[builds:warn]', ...a);
+
+/**
+ * @param {object}   db              Dawn DB connection
+ * @param {object}   supervisor      from createSupervisor()
+ * @param {object}   archive         from createBinaryArchive()
+ * @param {function} restartServers  async (target: world|login|both), see restartScheduler.js
+ * @param {string[]} worldProcesses  supervisor names of the world servers sharing the eq2world binary
+ * @param {function} onFinish        (job) => void, a build succeeded or failed
+ * @param {object}   options         config.build
+ */
+function createBuildJobs({ db, supervisor, archive, restartServers, worldProcesses = ['eq2world'], onFinish, options = {} }) {
+  const opts = { ...DEFAULTS, ...options, targets: { ...DEFAULTS.targets, ...(options.targets || {}) } };
+  const store = createJobStore('build', onFinish);
+  let deploying = false;
+
+  const git = async (args) => (await execFileP('git', args, { cwd: opts.source_dir, maxBuffer: 8 * 1024 * 1024 })).stdout.trim();
+
+  async function refExists(ref) {
+    try {
+      await git(['rev-parse', '--verify', '--quiet', ref]);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /** Branches, tags and the current checkout, for the ref picker */
+  async function refs() {
+    const [current, commit, branches, tags] = await Promise.all([
+      git(['rev-parse', '--abbrev-ref', 'HEAD']),
+      git(['rev-parse', '--short', 'HEAD']),
+      git(['for-each-ref', '--format=%(refname:short)', `refs/remotes/${opts.remote}`]),
+      git(['for-each-ref', '--sort=-creatordate', '--format=%(refname:short)', 'refs/tags'])
+    ]);
+    const prefix = `${opts.remote}/`;
+    return {
+      current: current === 'HEAD' ? null : current,
+      commit,
+      branches: branches.split('\n').filter(b => b.startsWith(prefix) && b !== `${prefix}HEAD`).map(b => b.slice(prefix.length)),
+      tags: tags.split('\n').filter(Boolean).slice(0, 100)
+    };
+  }
+
+  async function checkout(job, ref) {
+    const cwd = opts.source_dir;
+    if (!ref) {
+      job.log('No ref selected: pulling the current branch');
+      await runCommand(job, 'git', ['pull', '--ff-only'], { cwd });
+      return;
+    }
+    await runCommand(job, 'git', ['fetch', '--tags', '--prune', opts.remote], { cwd });
+    if (await refExists(`refs/remotes/${opts.remote}/${ref}`)) {
+      // Branch: check it out and fast-forward to the remote
+      await runCommand(job, 'git', ['checkout', ref], { cwd });
+      await runCommand(job, 'git', ['merge', '--ff-only', `${opts.remote}/${ref}`], { cwd });
+    } else if (await refExists(`${ref}^{commit}`)) {
+      // Tag or commit
+      await runCommand(job, 'git', ['checkout', '--detach', ref], { cwd });
+    } else {
+      throw new Error(`Unknown branch, tag or commit: ${ref}`);
+    }
+  }
+
+  async function deploy(job, names) {
+    deploying = true;
+    try {
+      for (const name of names) {
+        const t = opts.targets[name];
+        const built = path.join(opts.source_dir, t.dir, t.binary);
+        const id = await archive.install(name, built, { commit: job.commit, version: job.version, buildJobId: job.id, username: job.startedBy });
+        job.log(`Deployed ${built} -> ${archive.deployedPath(name)} (archive #${id})`);
+      }
+    } finally {
+      deploying = false;
+    }
+  }
+
+  // Build target -> is any server running that binary
+  const targetRunning = (name) => (name === 'eq2world' ? worldProcesses : [name]).some(p => supervisor.get(p).running);
+
+  // Build target names -> restartServers target
+  const restartTarget = (names) => (names.length === 2 ? 'both' : names[0] === 'login' ? 'login' : names.length ? 'world' : null);
+
+  async function saveResult(job) {
+    const tail = job.logs.slice(-opts.log_tail_lines).join('\n');
+    await query(db,
+      `UPDATE build_jobs SET status = ?, commit_hash = ?, version = ?, error = ?, finished_at = ?, duration_seconds = ?, log_tail = ?
+       WHERE job_id = ?`,
+      [job.status, job.commit, job.version, job.error ? job.error.slice(0, 255) : null, job.finishedAt,
+        Math.round((job.finishedAt - job.startedAt) / 1000), tail, job.id])
+      .catch(e => logW('Could not record build result:', e.message));
+  }
+
+  async function run(job) {
+    const cwd = opts.source_dir;
+    const makeJobs = Number(opts.make_jobs) > 0 ? Number(opts.make_jobs) : os.cpus().length;
+    try {
+      await checkout(job, job.ref);
+      Object.assign(job, await sourceVersion());
+      job.log(`Building ${job.targets.join(', ')} at ${job.version} (${job.commit})`);
+
+      for (const name of job.targets) {
+        const dir = path.join(cwd, opts.targets[name].dir);
+        if (job.clean) await runCommand(job, 'make', ['clean'], { cwd: dir });
+        await runCommand(job, 'make', [`-j${makeJobs}`], { cwd: dir });
+      }
+
+      await deploy(job, job.targets);
+
+      if (job.restart) {
+        const running = job.targets.filter(targetRunning);
+        const target = restartTarget(running);
+        if (target) {
+          job.log(`Restarting ${running.join(', ')}`);
+          await restartServers(target);
+          job.log('Restarted');
+        } else {
+          job.log('No selected server was running; the new binaries are used on the next start');
+        }
+      }
+
+      job.succeed({ commit: job.commit, version: job.version, targets: job.targets });
+    } catch (e) {
+      job.log(`ERROR: ${e.message}`);
+      job.fail(e);
+    }
+    await saveResult(job);
+  }
+
+  /**
+   * Queue a build. Throws (status 400/409) on bad input or when a build is running.
+   * @param {object} p { ref, clean, targets: [login|eq2world], restart, username }
+   */
+  async function start({ ref, clean, targets, restart, username }) {
+    ref = String(ref || '').trim();
+    if (ref && (!REF_RE.test(ref) || ref.includes('..'))) {
+      throw Object.assign(new Error(`Invalid ref: ${ref}`), { status: 400 });
+    }
+    const names = (Array.isArray(targets) ? targets : String(targets || '').split(','))
+      .map(s => String(s).trim()).filter(Boolean);
+    const selected = Object.keys(opts.targets).filter(n => names.includes(n));
+    if (!selected.length) throw Object.assign(new Error('Select at least one server to build'), { status: 400 });
+    if (!fs.existsSync(opts.source_dir)) {
+      throw Object.assign(new Error(`Source directory not found: ${opts.source_dir}`), { status: 400 });
+    }
+
+    const job = store.create({ ref, clean: !!clean, targets: selected, restart: !!restart, startedBy: username || null, commit: null, version: null });
+    job.log(`Build ${job.id} started by ${job.startedBy || 'unknown'}: ${ref || '(current branch)'}, ${job.clean ? 'clean' : 'incremental'}`);
+    try {
+      await query(db,
+        `INSERT INTO build_jobs (job_id, started_by, ref, clean, targets, status, started_at)
+         VALUES (?, ?, ?, ?, ?, 'running', ?)`,
+        [job.id, job.startedBy, ref || null, job.clean ? 1 : 0, selected.join(','), job.startedAt]);
+    } catch (e) {
+      logW('Could not record build start:', e.message);
+    }
+    run(job);
+    return job;
+  }
+
+  /** Commit and `git describe` of the source checkout */
+  async function sourceVersion() {
+    const commit = await git(['rev-parse', 'HEAD']);
+    const version = await git(['describe', '--tags', '--always', '--dirty']).catch(() => commit.slice(0, 12));
+    return { commit, version };
+  }
+
+  /** Redeploy archived binary `id`, then restart its server */
+  async function rollback(id) {
+    if (store.current()) throw Object.assign(new Error('A build is running; wait for it to finish'), { status: 409 });
+    if (deploying) throw Object.assign(new Error('A deployment is already in progress'), { status: 409 });
+    deploying = true;
+    let row;
+    try {
+      row = await archive.rollback(id);
+    } finally {
+      deploying = false;
+    }
+    await restartServers(restartTarget([row.target]));
+    return row;
+  }
+
+  async function history(limit = 20) {
+    return query(db,
+      `SELECT id, job_id, started_by, ref, clean, targets, status, commit_hash, version, error, started_at, finished_at, duration_seconds
+       FROM build_jobs ORDER BY id DESC LIMIT ?`,
+      [Math.max(1, Math.min(200, Number(limit) || 20))]);
+  }
+
+  /** The most recent finished build (success, failed or interrupted), null if none */
+  async function lastFinished() {
+    const rows = await query(db,
+      `SELECT id, job_id, status, targets, version, started_at, finished_at, duration_seconds
+       FROM build_jobs WHERE status <> 'running' ORDER BY id DESC LIMIT 1`);
+    return rows.length ? rows[0] : null;
+  }
+
+  async function logTail(id) {
+    const rows = await query(db, 'SELECT log_tail FROM build_jobs WHERE id = ?', [id]);
+    return rows.length ? rows[0].log_tail : null;
+  }
+
+  // A Dawn restart mid-build loses the job; don't leave it "running" forever
+  function markInterrupted() {
+    return query(db,
+      "UPDATE build_jobs SET status = 'interrupted', finished_at = NOW() WHERE status = 'running'")
+      .catch(e => logW('Could not mark interrupted builds:', e.message));
+  }
+
+  function current() {
+    const job = store.current();
+    return job ? { id: job.id, ref: job.ref, clean: job.clean, targets: job.targets, startedBy: job.startedBy, startedAt: job.startedAt } : null;
+  }
+
+  return {
+    start,
+    rollback,
+    sourceVersion,
+    refs,
+    history,
+    lastFinished,
+    logTail,
+    current,
+    get: store.get,
+    markInterrupted,
+    deploying: () => deploying,
+    targets: Object.keys(opts.targets)
+  };
+}
+
+module.exports = {
+  createBuildJobs
+};
@@ -0,0 +1,124 @@
+// clientActions.js
+// -------------------------------------------------------------
+// Moderation actions on connected characters through the world
+// admin API, for the clients console.
+// - kick, message (private message) and teleport (to the zone's
+//   safe spot); each is a POST of { ...fields, character_name, ... }
+//   to a path of the world admin API:
+//     kick      { character_name, reason? }
+//     message   { from_name, character_name, message }
+//     teleport  { character_name }
+// - These endpoints are not part of the stock world admin API (that
+//   one has /status, /version, /clients, /setadminstatus,
+//   /reloadrules ...), so every action is off (empty path) until
+//   config.client_actions.<action>.path points at the world server's
+//   endpoint (see dawn_config.json.example); switched-off actions have
+//   no button. A world server without the endpoint (HTTP 404) gives
+//   code 'unsupported' per character
+// - Bulk: one request per character, `concurrency` at a time; every
+//   character gets its own result (the world server's reply or the
+//   typed admin API error, see polling.js)
+// Settings: config.client_actions (optional), see DEFAULTS.
+// -------------------------------------------------------------
+
+const DEFAULTS = {
+  concurrency: 4,
+  max_characters: 100,
+  kick: { path: '', fields: {} },
+  message: { path: '', fields: { from_name: 'Server' } },
+  teleport: { path: '', fields: {} }
+};
+
+const ACTIONS = {
+  kick: 'Kick',
+  message: 'Send message',
+  teleport: 'Teleport to safe spot'
+};
+
+const MAX_TEXT = 255;
+
+const invalid = (message) => Object.assign(new Error(message), { status: 400 });
+
+/** "a,b" | ["a","b"] -> unique non-empty character names */
+function parseCharacters(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  return [...new Set(list.map(v => String(v).trim()).filter(Boolean))];
+}
+
+// Run fn over items with at most `limit` in flight; results keep the item order
+async function mapLimit(items, limit, fn) {
+  const out = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      out[i] = await fn(items[i]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return out;
+}
+
+/**
+ * @param {object} options config.client_actions
+ */
+function createClientActions({ options = {} } = {}) {
+  const opts = { ...DEFAULTS, ...options };
+  const settingsOf = (action) => ({ ...DEFAULTS[action], ...(options[action] || {}) });
+  const enabled = Object.keys(ACTIONS).filter(a => settingsOf(a).path);
+
+  /**
+   * Run `action` for each character on `world`.
+   * @param {object}   world      from worlds.js
+   * @param {string}   action     kick | message | teleport
+   * @param {string[]} characters character names
+   * @param {object}   p          { message, reason }
+   * -> [{ character, ok, response } | { character, ok: false, code, error }]
+   *    code: 'unsupported' when the world server has no such endpoint, else the
+   *    admin API error code (polling.js)
+   */
+  async function run(world, action, characters, { message, reason } = {}) {
+    if (!ACTIONS[action]) throw invalid(`Unknown action: ${action}`);
+    if (!enabled.includes(action)) throw invalid(`${ACTIONS[action]} is switched off (config.client_actions.${action}.path)`);
+    const names = parseCharacters(characters);
+    if (!names.length) throw invalid('Select at least one character');
+    if (names.length > opts.max_characters) throw invalid(`At most ${opts.max_characters} characters per action`);
+
+    const text = String(message || '').trim();
+    if (action === 'message' && !text) throw invalid('Enter a message');
+    if (text.length > MAX_TEXT) throw invalid(`The message is longer than ${MAX_TEXT} characters`);
+    const why = String(reason || '').trim().slice(0, MAX_TEXT);
+
+    const { path, fields } = settingsOf(action);
+    return mapLimit(names, Math.max(1, Number(opts.concurrency) || 1), async (name) => {
+      const body = { ...(fields || {}), character_name: name };
+      if (action === 'message') body.message = text;
+      if (action === 'kick' && why) body.reason = why;
+      try {
+        const response = await world.api.post(path, body);
+        return { character: name, ok: true, response };
+      } catch (e) {
+        if (e.upstreamStatus === 404) {
+          return {
+            character: name,
+            ok: false,
+            code: 'unsupported',
+            error: `${ACTIONS[action]} is not supported by ${world.name} (HTTP 404 on ${path}); set config.client_actions.${action}.path to its endpoint, or "" to switch it off`
+          };
+        }
+        return { character: name, ok: false, code: e.code || 'error', error: e.message };
+      }
+    });
+  }
+
+  return {
+    run,
+    // [{ id, label }] of the switched-on actions, for the console
+    available: enabled.map(id => ({ id, label: ACTIONS[id] })),
+    maxCharacters: opts.max_characters
+  };
+}
+
+module.exports = {
+  createClientActions
+};
@@ -0,0 +1,406 @@
+// contentUpdates.js
+// -------------------------------------------------------------
+// World content (LUA scripts) updates from the eq2emu-content
+// repository, replacing update_content_fromweb.sh.
+// - preview(): which ItemScripts, Quests, SpawnScripts ... files a
+//   branch, tag or commit would change, and which scripts were edited
+//   locally (server copy or repository working tree)
+// - start(): fetch + check out the ref, copy the script folders over the
+//   server's copy; locally edited scripts can be kept as they are
+// - reset(): copy the repository's current checkout over the server's
+//   copy, discarding local edits
+// - Nothing is lost silently: uncommitted repository changes are
+//   stashed, and overwritten local edits are backed up to backup_dir
+// - Output streams live through the job log (jobs.js, SSE); each job is
+//   recorded in content_updates
+// Settings: config.content (optional), see DEFAULTS.
+// -------------------------------------------------------------
+
+const fs = require('fs');
+const fsp = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { query } = require('./dawnDb');
+const { createJobStore, runCommand } = require('./jobs');
+
+const execFileP = promisify(execFile);
+
+const DEFAULTS = {
+  repo_dir: '/eq2emu/eq2emu-content',
+  remote: 'origin',
+  server_dir: '/eq2emu/eq2emu/server',
+  folders: ['ItemScripts', 'Quests', 'RegionScripts', 'SpawnScripts', 'Spells', 'ZoneScripts', 'PlayerScripts'],
+  backup_dir: '/eq2emu/eq2emu/server/content_backups',
+  // chmod -R for the copied folders (the eq2emu-editor container writes to them); '' = leave as is
+  chmod: '777',
+  log_tail_lines: 200
+};
+
+// Branch / tag names and commit hashes; never an option (-x) or a path escape
+const REF_RE = /^[A-Za-z0-9][A-Za-z0-9._\/-]{0,199}$/;
+
+const STATUS_NAMES = { A: 'added', M: 'modified', D: 'deleted', R: 'renamed', C: 'copied', T: 'modified' };
+
+const logI = (...a) => console.log('[content]', ...a);
+const logW = (...a) => console.warn('[content:warn]', ...a);
+
+// Same id git gives the file's blob, so server copies compare against `git ls-tree`
+async function blobSha(file) {
+  const data = await fsp.readFile(file);
+  return crypto.createHash('sha1').update(`blob ${data.length}\0`).update(data).digest('hex');
+}
+
+async function walk(dir, base = dir, out = []) {
+  let entries;
+  try {
+    entries = await fsp.readdir(dir, { withFileTypes: true });
+  } catch (e) {
+    if (e.code === 'ENOENT') return out;
+    throw e;
+  }
+  for (const ent of entries) {
+    const full = path.join(dir, ent.name);
+    if (ent.isDirectory()) await walk(full, base, out);
+    else if (ent.isFile()) out.push(path.relative(base, full));
+  }
+  return out;
+}
+
+/**
+ * @param {object}   db       Dawn DB connection
+ * @param {function} onFinish (job) => void, an update or reset succeeded or failed
+ * @param {object}   options  config.content
+ */
+function createContentUpdates({ db, onFinish, options = {} }) {
+  const opts = { ...DEFAULTS, ...options };
+  const store = createJobStore('content', onFinish);
+  let copying = false;
+
+  const gitRaw = async (args) => (await execFileP('git', args, { cwd: opts.repo_dir, maxBuffer: 64 * 1024 * 1024 })).stdout;
+  const git = async (args) => (await gitRaw(args)).trim();
+  const lines = (out) => out.split('\n').filter(Boolean);
+  // -z output: NUL separated, paths unquoted (untrimmed: status codes can start with a space)
+  const fields = async (args) => (await gitRaw(args)).split('\0').filter(Boolean);
+
+  function checkRef(ref) {
+    ref = String(ref || '').trim();
+    if (ref && (!REF_RE.test(ref) || ref.includes('..'))) {
+      throw Object.assign(new Error(`Invalid ref: ${ref}`), { status: 400 });
+    }
+    return ref;
+  }
+
+  function checkRepo() {
+    if (!fs.existsSync(path.join(opts.repo_dir, '.git'))) {
+      throw Object.assign(new Error(`Content repository not found: ${opts.repo_dir}`), { status: 400 });
+    }
+  }
+
+  async function refExists(ref) {
+    try {
+      await git(['rev-parse', '--verify', '--quiet', ref]);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /** Branches, tags and the current checkout, for the ref picker */
+  async function refs() {
+    checkRepo();
+    const [current, commit, branches, tags] = await Promise.all([
+      git(['rev-parse', '--abbrev-ref', 'HEAD']),
+      git(['rev-parse', '--short', 'HEAD']),
+      git(['for-each-ref', '--format=%(refname:short)', `refs/remotes/${opts.remote}`]),
+      git(['for-each-ref', '--sort=-creatordate', '--format=%(refname:short)', 'refs/tags'])
+    ]);
+    const prefix = `${opts.remote}/`;
+    return {
+      current: current === 'HEAD' ? null : current,
+      commit,
+      branches: lines(branches).filter(b => b.startsWith(prefix) && b !== `${prefix}HEAD`).map(b => b.slice(prefix.length)),
+      tags: lines(tags).slice(0, 100)
+    };
+  }
+
+  // Ref -> what to check out: { kind: pull|branch|detach, target: commit-ish to diff against }
+  async function resolve(ref) {
+    if (!ref) {
+      if (!(await refExists('@{upstream}'))) {
+        throw Object.assign(new Error('The current checkout has no upstream branch; pick a branch, tag or commit'), { status: 400 });
+      }
+      return { kind: 'pull', target: '@{upstream}' };
+    }
+    if (await refExists(`refs/remotes/${opts.remote}/${ref}`)) return { kind: 'branch', target: `${opts.remote}/${ref}` };
+    if (await refExists(`${ref}^{commit}`)) return { kind: 'detach', target: ref };
+    throw Object.assign(new Error(`Unknown branch, tag or commit: ${ref}`), { status: 400 });
+  }
+
+  /** Files under the script folders that `target` changes relative to HEAD */
+  async function changedFiles(target) {
+    const f = await fields(['diff', '--name-status', '-z', '-M', 'HEAD', target, '--', ...opts.folders]);
+    const changes = [];
+    for (let i = 0; i < f.length;) {
+      const code = f[i++];
+      const status = STATUS_NAMES[code[0]] || code;
+      if (code[0] === 'R' || code[0] === 'C') changes.push({ status, from: f[i++], path: f[i++] });
+      else changes.push({ status, path: f[i++] });
+    }
+    return changes;
+  }
+
+  /**
+   * Scripts that differ from the repository's current checkout:
+   * server copies edited in place, and uncommitted edits in the repository.
+   * -> [{ path, where: server|repository, state: modified|added|deleted }]
+   */
+  async function localEdits() {
+    // "<mode> blob <sha>\t<path>"
+    const tree = new Map((await fields(['ls-tree', '-r', '-z', 'HEAD', '--', ...opts.folders]))
+      .map(entry => { const [meta, file] = entry.split('\t'); return [file, meta.split(' ')[2]]; }));
+    const edits = [];
+
+    for (const folder of opts.folders) {
+      const files = await walk(path.join(opts.server_dir, folder));
+      for (const rel of files) {
+        const repoPath = path.posix.join(folder, rel.split(path.sep).join('/'));
+        const sha = tree.get(repoPath);
+        if (!sha) continue; // server-only files are never overwritten
+        if (await blobSha(path.join(opts.server_dir, repoPath)) !== sha) {
+          edits.push({ path: repoPath, where: 'server', state: 'modified' });
+        }
+      }
+    }
+
+    const status = await fields(['status', '--porcelain', '-z', '--', ...opts.folders]);
+    for (let i = 0; i < status.length; i++) {
+      const code = status[i].slice(0, 2);
+      edits.push({ path: status[i].slice(3), where: 'repository', state: code.includes('D') ? 'deleted' : code === '??' ? 'added' : 'modified' });
+      if (code[0] === 'R' || code[0] === 'C') i++; // followed by the original path
+    }
+    return edits;
+  }
+
+  /**
+   * What updating to `ref` would do (fetches first).
+   * -> { ref, from, to, changes: { folder: [...] }, changedCount, localEdits: [...], conflicts }
+   */
+  async function preview(ref) {
+    ref = checkRef(ref);
+    checkRepo();
+    await git(['fetch', '--tags', '--prune', opts.remote]);
+    const { target } = await resolve(ref);
+    const [from, to, changes, edits] = await Promise.all([
+      git(['rev-parse', '--short', 'HEAD']),
+      git(['rev-parse', '--short', target]),
+      changedFiles(target),
+      localEdits()
+    ]);
+    const changedPaths = new Set(changes.map(c => c.path));
+    const grouped = {};
+    for (const c of changes) (grouped[c.path.split('/')[0]] = grouped[c.path.split('/')[0]] || []).push(c);
+    const local = edits.map(e => ({ ...e, upstreamChanged: changedPaths.has(e.path) }));
+    return {
+      ref: ref || null,
+      from,
+      to,
+      changes: grouped,
+      changedCount: changes.length,
+      localEdits: local,
+      conflicts: local.filter(e => e.upstreamChanged).length
+    };
+  }
+
+  // Keep uncommitted repository edits (reset --hard used to drop them)
+  async function stashRepository(job) {
+    const dirty = await git(['status', '--porcelain']);
+    if (!dirty) return;
+    await runCommand(job, 'git', ['stash', 'push', '--include-untracked', '-m', `dawn ${job.id}`], { cwd: opts.repo_dir });
+    job.log(`Uncommitted repository changes were stashed ("dawn ${job.id}"; restore with git stash pop)`);
+  }
+
+  async function checkout(job, ref) {
+    const cwd = opts.repo_dir;
+    await runCommand(job, 'git', ['fetch', '--tags', '--prune', opts.remote], { cwd });
+    const { kind } = await resolve(ref);
+    if (kind === 'pull') {
+      job.log('No ref selected: updating the current branch');
+      await runCommand(job, 'git', ['merge', '--ff-only', '@{upstream}'], { cwd });
+    } else if (kind === 'branch') {
+      await runCommand(job, 'git', ['checkout', ref], { cwd });
+      await runCommand(job, 'git', ['merge', '--ff-only', `${opts.remote}/${ref}`], { cwd });
+    } else {
+      await runCommand(job, 'git', ['checkout', '--detach', ref], { cwd });
+    }
+  }
+
+  async function backup(job, relPath) {
+    const dest = path.join(opts.backup_dir, job.id, relPath);
+    await fsp.mkdir(path.dirname(dest), { recursive: true });
+    await fsp.copyFile(path.join(opts.server_dir, relPath), dest);
+  }
+
+  /**
+   * Copy the script folders of the repository checkout to the server.
+   * keep: repo paths left untouched; backupPaths: local edits to back up before overwriting.
+   */
+  async function copyFolders(job, { keep, backupPaths }) {
+    copying = true;
+    let copied = 0;
+    let skipped = 0;
+    let backedUp = 0;
+    try {
+      for (const folder of opts.folders) {
+        const src = path.join(opts.repo_dir, folder);
+        if (!fs.existsSync(src)) {
+          job.log(`${folder}: not in the repository, skipped`);
+          continue;
+        }
+        let folderCopied = 0;
+        for (const rel of await walk(src)) {
+          const repoPath = path.posix.join(folder, rel.split(path.sep).join('/'));
+          if (keep.has(repoPath)) {
+            skipped++;
+            job.log(`Kept local edit: ${repoPath}`);
+            continue;
+          }
+          const dest = path.join(opts.server_dir, folder, rel);
+          if (fs.existsSync(dest) && await blobSha(dest) === await blobSha(path.join(src, rel))) continue;
+          if (backupPaths.has(repoPath) && fs.existsSync(dest)) {
+            await backup(job, repoPath);
+            backedUp++;
+          }
+          await fsp.mkdir(path.dirname(dest), { recursive: true });
+          await fsp.copyFile(path.join(src, rel), dest);
+          folderCopied++;
+        }
+        copied += folderCopied;
+        job.log(`${folder}: ${folderCopied} file${folderCopied === 1 ? '' : 's'} updated`);
+      }
+      if (backedUp) job.log(`${backedUp} overwritten local edit${backedUp === 1 ? '' : 's'} backed up to ${path.join(opts.backup_dir, job.id)}`);
+      if (opts.chmod) {
+        const dirs = opts.folders.map(f => path.join(opts.server_dir, f)).filter(d => fs.existsSync(d));
+        await runCommand(job, 'chmod', ['-R', String(opts.chmod), ...dirs], { cwd: opts.server_dir })
+          .catch(e => job.log(`WARNING: ${e.message}`));
+      }
+    } finally {
+      copying = false;
+    }
+    return { copied, skipped, backedUp };
+  }
+
+  async function saveResult(job) {
+    const tail = job.logs.slice(-opts.log_tail_lines).join('\n');
+    await query(db,
+      `UPDATE content_updates SET status = ?, to_commit = ?, files_copied = ?, files_kept = ?, files_backed_up = ?, error = ?, finished_at = ?, duration_seconds = ?, log_tail = ?
+       WHERE job_id = ?`,
+      [job.status, job.toCommit, job.stats.copied, job.stats.skipped, job.stats.backedUp, job.error ? job.error.slice(0, 255) : null,
+        job.finishedAt, Math.round((job.finishedAt - job.startedAt) / 1000), tail, job.id])
+      .catch(e => logW('Could not record content update result:', e.message));
+  }
+
+  async function run(job) {
+    try {
+      const edits = await localEdits();
+      const serverEdits = edits.filter(e => e.where === 'server').map(e => e.path);
+      if (edits.length) job.log(`${edits.length} locally edited script${edits.length === 1 ? '' : 's'} found`);
+
+      await stashRepository(job);
+      if (job.mode === 'update') await checkout(job, job.ref);
+      job.toCommit = await git(['rev-parse', 'HEAD']);
+      job.log(`Copying ${opts.folders.join(', ')} at ${job.toCommit.slice(0, 12)}`);
+
+      const keep = new Set(job.keepLocal ? serverEdits : []);
+      job.stats = await copyFolders(job, { keep, backupPaths: new Set(serverEdits) });
+      job.log(`Done: ${job.stats.copied} updated, ${job.stats.skipped} local edit${job.stats.skipped === 1 ? '' : 's'} kept`);
+      job.succeed({ commit: job.toCommit, ...job.stats });
+    } catch (e) {
+      job.log(`ERROR: ${e.message}`);
+      job.fail(e);
+    }
+    await saveResult(job);
+  }
+
+  async function queue(mode, { ref, keepLocal, username }) {
+    checkRepo();
+    const fromCommit = await git(['rev-parse', 'HEAD']).catch(() => null);
+    const job = store.create({
+      mode, ref, keepLocal: !!keepLocal, startedBy: username || null,
+      fromCommit, toCommit: null, stats: { copied: 0, skipped: 0, backedUp: 0 }
+    });
+    job.log(mode === 'reset'
+      ? `Content reset ${job.id} started by ${job.startedBy || 'unknown'}: server scripts back to ${(fromCommit || '').slice(0, 12)}`
+      : `Content update ${job.id} started by ${job.startedBy || 'unknown'}: ${ref || '(current branch)'}, local edits ${job.keepLocal ? 'kept' : 'overwritten'}`);
+    try {
+      await query(db,
+        `INSERT INTO content_updates (job_id, mode, started_by, ref, keep_local, from_commit, status, started_at)
+         VALUES (?, ?, ?, ?, ?, ?, 'running', ?)`,
+        [job.id, mode, job.startedBy, ref || null, job.keepLocal ? 1 : 0, fromCommit, job.startedAt]);
+    } catch (e) {
+      logW('Could not record content update start:', e.message);
+    }
+    logI(`${mode} ${job.id} started by ${job.startedBy || 'unknown'}`);
+    run(job);
+    return job;
+  }
+
+  /**
+   * Update to `ref` (empty: fast-forward the current branch). Throws (status 400/409)
+   * on bad input or when a content job is running.
+   * @param {object} p { ref, keepLocal, username }
+   */
+  async function start({ ref, keepLocal = true, username } = {}) {
+    return queue('update', { ref: checkRef(ref), keepLocal, username });
+  }
+
+  /** Discard local script edits: the repository checkout is copied over the server's copy */
+  async function reset({ username } = {}) {
+    return queue('reset', { ref: '', keepLocal: false, username });
+  }
+
+  async function history(limit = 20) {
+    return query(db,
+      `SELECT id, job_id, mode, started_by, ref, keep_local, from_commit, to_commit, status, files_copied, files_kept,
+              files_backed_up, error, started_at, finished_at, duration_seconds
+       FROM content_updates ORDER BY id DESC LIMIT ?`,
+      [Math.max(1, Math.min(200, Number(limit) || 20))]);
+  }
+
+  async function logTail(id) {
+    const rows = await query(db, 'SELECT log_tail FROM content_updates WHERE id = ?', [id]);
+    return rows.length ? rows[0].log_tail : null;
+  }
+
+  // A Dawn restart mid-update loses the job; don't leave it "running" forever
+  function markInterrupted() {
+    return query(db,
+      "UPDATE content_updates SET status = 'interrupted', finished_at = NOW() WHERE status = 'running'")
+      .catch(e => logW('Could not mark interrupted content updates:', e.message));
+  }
+
+  function current() {
+    const job = store.current();
+    return job ? { id: job.id, mode: job.mode, ref: job.ref, keepLocal: job.keepLocal, startedBy: job.startedBy, startedAt: job.startedAt } : null;
+  }
+
+  return {
+    start,
+    reset,
+    preview,
+    localEdits,
+    refs,
+    history,
+    logTail,
+    current,
+    get: store.get,
+    markInterrupted,
+    copying: () => copying,
+    folders: opts.folders
+  };
+}
+
+module.exports = {
+  createContentUpdates
+};
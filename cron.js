@@ -0,0 +1,113 @@
+// cron.js
+// -------------------------------------------------------------
+// Minimal 5-field cron expressions (server local time):
+//   minute hour day-of-month month day-of-week
+// - *, lists (1,15), ranges (1-5), steps (*/15, 0-30/10)
+// - day-of-week 0-7 (0 and 7 = Sunday)
+// - @hourly, @daily / @midnight, @weekly, @monthly
+// - Like cron, when both day fields are restricted either may match
+// -------------------------------------------------------------
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+const ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+// Five years covers every valid expression (e.g. Feb 29 on a given weekday)
+const MAX_SEARCH_MS = 5 * 366 * 24 * 60 * 60 * 1000;
+
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const m = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!m) throw new Error(`Invalid ${name} field: "${text}"`);
+    let from = min;
+    let to = max;
+    if (m[1] !== '*') {
+      from = Number(m[2]);
+      to = m[3] != null ? Number(m[3]) : (m[4] != null ? max : from);
+    }
+    const step = m[4] != null ? Number(m[4]) : 1;
+    if (from < min || to > max || from > to || step < 1) {
+      throw new Error(`Invalid ${name} field: "${text}" (allowed ${min}-${max})`);
+    }
+    for (let v = from; v <= to; v += step) values.add(v);
+  }
+  return values;
+}
+
+/** Throws on an invalid expression */
+function parseCron(expr) {
+  const source = String(expr || '').trim();
+  const fields = (ALIASES[source.toLowerCase()] || source).split(/\s+/);
+  if (fields.length !== 5) throw new Error('A cron expression needs 5 fields: minute hour day-of-month month day-of-week');
+
+  const [minutes, hours, days, months, weekdays] = fields.map((f, i) => parseField(f, FIELDS[i]));
+  if (weekdays.has(7)) weekdays.add(0);
+  return {
+    source,
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: fields[2] === '*',
+    anyWeekday: fields[4] === '*'
+  };
+}
+
+function dayMatches(cron, d) {
+  const dom = cron.days.has(d.getDate());
+  const dow = cron.weekdays.has(d.getDay());
+  if (cron.anyDay) return dow;
+  if (cron.anyWeekday) return dom;
+  return dom || dow;
+}
+
+/** First matching time strictly after `after` (Date), or null */
+function nextRun(expr, after = new Date()) {
+  const cron = typeof expr === 'string' ? parseCron(expr) : expr;
+  const d = new Date(after.getTime());
+  d.setSeconds(0, 0);
+  d.setMinutes(d.getMinutes() + 1);
+
+  const limit = after.getTime() + MAX_SEARCH_MS;
+  while (d.getTime() <= limit) {
+    if (!cron.months.has(d.getMonth() + 1)) {
+      d.setMonth(d.getMonth() + 1, 1);
+      d.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!dayMatches(cron, d)) {
+      d.setDate(d.getDate() + 1);
+      d.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!cron.hours.has(d.getHours())) {
+      d.setHours(d.getHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!cron.minutes.has(d.getMinutes())) {
+      d.setMinutes(d.getMinutes() + 1, 0, 0);
+      continue;
+    }
+    return d;
+  }
+  return null;
+}
+
+module.exports = {
+  parseCron,
+  nextRun
+};
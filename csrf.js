@@ -0,0 +1,63 @@
+// csrf.js
+// -------------------------------------------------------------
+// Per-session CSRF token for state-changing requests.
+// - Token lives in the session; views get it as res.locals.csrfToken
+// - POST/PUT/PATCH/DELETE must send it back as the X-CSRF-Token
+//   header or a _csrf form field
+// - API-token (Bearer) requests are exempt: they carry no cookie.
+//   So are requests without a logged-in (or pending 2FA) session;
+//   there is nothing to act on behalf of yet
+// -------------------------------------------------------------
+
+const crypto = require('crypto');
+
+const SAFE_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+const HEADER = 'x-csrf-token';
+const FIELD = '_csrf';
+
+const logW = (...a) => console.warn('[csrf:warn]', ...a);
+
+function sameToken(a, b) {
+  const x = Buffer.from(String(a || ''));
+  const y = Buffer.from(String(b || ''));
+  return x.length > 0 && x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+function protectedSession(req) {
+  const s = req.session;
+  return !!(s && !s.apiToken && (s.loggedin || s.pending_2fa));
+}
+
+function createCsrf() {
+  // Only sessions worth protecting get a token, so anonymous visitors
+  // don't cause a stored session
+  function tokenFor(req) {
+    if (!protectedSession(req)) return '';
+    const s = req.session;
+    if (!s.csrf_token) s.csrf_token = crypto.randomBytes(32).toString('base64url');
+    return s.csrf_token;
+  }
+
+  function protect() {
+    return (req, res, next) => {
+      res.locals.csrfToken = tokenFor(req);
+
+      if (SAFE_METHODS.has(req.method) || !protectedSession(req)) return next();
+
+      const sent = req.get(HEADER) || (req.body && req.body[FIELD]);
+      if (sameToken(sent, req.session.csrf_token)) return next();
+
+      logW(`Rejected ${req.method} ${req.originalUrl} from ${req.ip} (${req.session.username || 'pending 2FA'})`);
+      if (req.xhr || req.is('application/json') || (req.get('accept') || '').includes('application/json') || req.get(HEADER)) {
+        return res.status(403).json({ ok: false, error: 'Invalid or missing CSRF token; reload the page and try again' });
+      }
+      return res.status(403).send('Invalid or missing CSRF token. Reload the page and try again.');
+    };
+  }
+
+  return { tokenFor, protect };
+}
+
+module.exports = {
+  createCsrf
+};
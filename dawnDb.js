@@ -0,0 +1,255 @@
+// dawnDb.js
+// -------------------------------------------------------------
+// Helpers for the Dawn web database (eq2dawn_web):
+// - query(): promise wrapper around the callback connection API
+// - ensureSchema(): idempotent upgrades for existing deployments
+//   (fresh installs get the same tables from dawn_db.sql)
+// -------------------------------------------------------------
+
+const logI = (...a) => console.log('[dawn-db]', ...a);
+
+/** Use the existing mysql2 connection (callback API) */
+function query(conn, sql, args = []) {
+  return new Promise((resolve, reject) => {
+    conn.query(sql, args, (err, results) => {
+      if (err) return reject(err);
+      resolve(results);
+    });
+  });
+}
+
+async function columnExists(conn, table, column) {
+  const rows = await query(conn,
+    'SELECT COUNT(*) AS n FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?',
+    [table, column]);
+  return rows[0].n > 0;
+}
+
+async function ensureColumn(conn, table, column, definition, log = logI) {
+  if (await columnExists(conn, table, column)) return;
+  log(`Adding column ${table}.${column}`);
+  await query(conn, `ALTER TABLE \`${table}\` ADD COLUMN \`${column}\` ${definition}`);
+}
+
+/** Ordered list of schema steps; each must be safe to re-run */
+const MIGRATIONS = [
+  (conn, log) => ensureColumn(conn, 'users', 'disabled', 'TINYINT(1) NOT NULL DEFAULT 0', log),
+  (conn, log) => ensureColumn(conn, 'users', 'created_at', 'TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP', log),
+  (conn, log) => ensureColumn(conn, 'users', 'last_login', 'TIMESTAMP NULL DEFAULT NULL', log),
+  (conn, log) => ensureColumn(conn, 'users', 'totp_enabled', 'TINYINT(1) NOT NULL DEFAULT 0', log),
+  (conn, log) => ensureColumn(conn, 'users', 'totp_secret', 'VARCHAR(64) NULL DEFAULT NULL', log),
+  (conn, log) => ensureColumn(conn, 'users', 'totp_last_step', 'BIGINT NULL DEFAULT NULL', log),
+  (conn, log) => ensureColumn(conn, 'users', 'totp_recovery', 'TEXT NULL', log),
+  (conn) => query(conn, `CREATE TABLE IF NOT EXISTS login_events (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    username VARCHAR(255) NOT NULL,
+    ip VARCHAR(64) NOT NULL,
+    success TINYINT(1) NOT NULL,
+    reason VARCHAR(64) NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_login_events_username (username),
+    INDEX idx_login_events_ip (ip),
+    INDEX idx_login_events_created (created_at)
+  )`),
+  (conn) => query(conn, `CREATE TABLE IF NOT EXISTS sessions (
+    sid VARCHAR(128) NOT NULL PRIMARY KEY,
+    expires BIGINT NOT NULL,
+    data MEDIUMTEXT NOT NULL,
+    INDEX idx_sessions_expires (expires)
+  )`),
+  (conn) => query(conn, `CREATE TABLE IF NOT EXISTS api_tokens (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    token_hash CHAR(64) NOT NULL UNIQUE,
+    token_prefix VARCHAR(16) NOT NULL,
+    scopes TEXT NULL,
+    expires_at TIMESTAMP NULL DEFAULT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TIMESTAMP NULL DEFAULT NULL,
+    last_used_ip VARCHAR(64) NULL,
+    revoked TINYINT(1) NOT NULL DEFAULT 0,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+  )`),
+  (conn) => query(conn, `CREATE TABLE IF NOT EXISTS audit_log (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    username VARCHAR(255) NOT NULL,
+    via VARCHAR(32) NOT NULL,
+    action VARCHAR(64) NOT NULL,
+    target VARCHAR(255) NULL,
+    params TEXT NULL,
+    outcome VARCHAR(16) NOT NULL,
+    detail VARCHAR(1000) NULL,
+    ip VARCHAR(64) NOT NULL,
+    INDEX idx_audit_created (created_at),
+    INDEX idx_audit_username (username),
+    INDEX idx_audit_action (action)
+  )`),
+  (conn) => query(conn, `CREATE TABLE IF NOT EXISTS process_restarts (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    process VARCHAR(32) NOT NULL,
+    exited_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    exit_code INT NULL,
+    exit_signal VARCHAR(16) NULL,
+    reason VARCHAR(255) NOT NULL,
+    uptime_seconds INT NOT NULL DEFAULT 0,
+    action VARCHAR(16) NOT NULL,
+    restart_delay_ms INT NULL,
+    last_log TEXT NULL,
+    INDEX idx_process_restarts_process (process, exited_at)
+  )`),
+  (conn) => query(conn, `CREATE TABLE IF NOT EXISTS restart_schedules (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    target VARCHAR(16) NOT NULL DEFAULT 'world',
+    cron VARCHAR(100) NULL,
+    run_at DATETIME NULL,
+    warn_minutes VARCHAR(100) NOT NULL DEFAULT '15,10,5,1',
+    message VARCHAR(255) NULL,
+    enabled TINYINT(1) NOT NULL DEFAULT 1,
+    next_run_at DATETIME NULL,
+    last_run_at DATETIME NULL,
+    last_result VARCHAR(255) NULL,
+    created_by VARCHAR(255) NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+  )`),
+  (conn) => query(conn, `CREATE TABLE IF NOT EXISTS build_jobs (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    job_id VARCHAR(64) NOT NULL,
+    started_by VARCHAR(255) NULL,
+    ref VARCHAR(255) NULL,
+    clean TINYINT(1) NOT NULL DEFAULT 0,
+    targets VARCHAR(64) NOT NULL,
+    status VARCHAR(16) NOT NULL,
+    commit_hash VARCHAR(64) NULL,
+    version VARCHAR(255) NULL,
+    error VARCHAR(255) NULL,
+    started_at DATETIME NOT NULL,
+    finished_at DATETIME NULL,
+    duration_seconds INT NULL,
+    log_tail MEDIUMTEXT NULL,
+    UNIQUE KEY uq_build_jobs_job (job_id)
+  )`),
+  (conn) => query(conn, `CREATE TABLE IF NOT EXISTS binary_archive (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    target VARCHAR(32) NOT NULL,
+    file_path VARCHAR(512) NOT NULL,
+    sha256 CHAR(64) NOT NULL,
+    size_bytes BIGINT NOT NULL DEFAULT 0,
+    commit_hash VARCHAR(64) NULL,
+    git_version VARCHAR(255) NULL,
+    server_version TEXT NULL,
+    build_job_id VARCHAR(64) NULL,
+    source VARCHAR(16) NOT NULL,
+    archived_by VARCHAR(255) NULL,
+    archived_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    deployed TINYINT(1) NOT NULL DEFAULT 0,
+    deployed_at DATETIME NULL,
+    INDEX idx_binary_archive_target (target, id)
+  )`),
+  (conn) => query(conn, `CREATE TABLE IF NOT EXISTS content_updates (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    job_id VARCHAR(64) NOT NULL,
+    mode VARCHAR(16) NOT NULL,
+    started_by VARCHAR(255) NULL,
+    ref VARCHAR(255) NULL,
+    keep_local TINYINT(1) NOT NULL DEFAULT 0,
+    from_commit VARCHAR(64) NULL,
+    to_commit VARCHAR(64) NULL,
+    status VARCHAR(16) NOT NULL,
+    files_copied INT NULL,
+    files_kept INT NULL,
+    files_backed_up INT NULL,
+    error VARCHAR(255) NULL,
+    started_at DATETIME NOT NULL,
+    finished_at DATETIME NULL,
+    duration_seconds INT NULL,
+    log_tail MEDIUMTEXT NULL,
+    UNIQUE KEY uq_content_updates_job (job_id)
+  )`),
+  (conn) => query(conn, `CREATE TABLE IF NOT EXISTS status_samples (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    sampled_at DATETIME NOT NULL,
+    server VARCHAR(32) NOT NULL,
+    up TINYINT(1) NOT NULL,
+    login_connected TINYINT(1) NULL,
+    clients INT NULL,
+    INDEX idx_status_samples_server (server, sampled_at),
+    INDEX idx_status_samples_time (sampled_at)
+  )`),
+  (conn) => query(conn, `CREATE TABLE IF NOT EXISTS zone_population (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    sampled_at DATETIME NOT NULL,
+    world VARCHAR(32) NOT NULL,
+    zone VARCHAR(128) NOT NULL,
+    clients INT NOT NULL,
+    INDEX idx_zone_population_world (world, sampled_at),
+    INDEX idx_zone_population_time (sampled_at)
+  )`),
+  (conn) => query(conn, `CREATE TABLE IF NOT EXISTS notification_channels (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    type VARCHAR(16) NOT NULL,
+    target VARCHAR(1024) NOT NULL,
+    format VARCHAR(16) NULL,
+    events TEXT NOT NULL,
+    enabled TINYINT(1) NOT NULL DEFAULT 1,
+    created_by VARCHAR(255) NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+  )`),
+  (conn) => query(conn, `CREATE TABLE IF NOT EXISTS notification_log (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    sent_at DATETIME NOT NULL,
+    channel_id INT NULL,
+    channel_name VARCHAR(100) NULL,
+    event VARCHAR(32) NOT NULL,
+    title VARCHAR(255) NOT NULL,
+    status VARCHAR(16) NOT NULL,
+    error VARCHAR(255) NULL,
+    INDEX idx_notification_log_time (sent_at)
+  )`),
+  (conn) => query(conn, `CREATE TABLE IF NOT EXISTS player_sessions (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    world VARCHAR(32) NOT NULL,
+    character_id INT NOT NULL,
+    character_name VARCHAR(64) NOT NULL,
+    account_id INT NULL,
+    zone VARCHAR(128) NULL,
+    login_at DATETIME NOT NULL,
+    logout_at DATETIME NULL,
+    last_seen_at DATETIME NOT NULL,
+    end_reason VARCHAR(16) NULL,
+    INDEX idx_player_sessions_character (world, character_id, login_at),
+    INDEX idx_player_sessions_login (world, login_at),
+    INDEX idx_player_sessions_open (world, logout_at)
+  )`),
+  (conn) => query(conn, `CREATE TABLE IF NOT EXISTS player_events (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    at DATETIME NOT NULL,
+    world VARCHAR(32) NOT NULL,
+    character_id INT NOT NULL,
+    character_name VARCHAR(64) NOT NULL,
+    event VARCHAR(16) NOT NULL,
+    zone VARCHAR(128) NULL,
+    detail VARCHAR(128) NULL,
+    INDEX idx_player_events_character (world, character_id, at),
+    INDEX idx_player_events_time (at)
+  )`)
+];
+
+/**
+ * Run every migration step.
+ * @param {object} [opts] { log: (...args) => void, for the upgrade notes; console.log by default }
+ */
+async function ensureSchema(conn, { log = logI } = {}) {
+  for (const step of MIGRATIONS) {
+    await step(conn, log);
+  }
+}
+
+module.exports = {
+  query,
+  ensureColumn,
+  ensureSchema
+};
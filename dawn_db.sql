@@ -5,5 +5,222 @@ CREATE TABLE users (
     username VARCHAR(255) NOT NULL UNIQUE,
     password VARCHAR(128) NOT NULL,
     salt VARCHAR(32) NOT NULL,
-    role ENUM('admin', 'moderator', 'user') NOT NULL DEFAULT 'user'
-);
\ No newline at end of file
+    role ENUM('admin', 'moderator', 'user') NOT NULL DEFAULT 'user',
+    disabled TINYINT(1) NOT NULL DEFAULT 0,
+    created_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP,
+    last_login TIMESTAMP NULL DEFAULT NULL,
+    totp_enabled TINYINT(1) NOT NULL DEFAULT 0,
+    totp_secret VARCHAR(64) NULL DEFAULT NULL,
+    totp_last_step BIGINT NULL DEFAULT NULL,
+    totp_recovery TEXT NULL
+);
+CREATE TABLE login_events (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    username VARCHAR(255) NOT NULL,
+    ip VARCHAR(64) NOT NULL,
+    success TINYINT(1) NOT NULL,
+    reason VARCHAR(64) NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_login_events_username (username),
+    INDEX idx_login_events_ip (ip),
+    INDEX idx_login_events_created (created_at)
+);
+
+CREATE TABLE sessions (
+    sid VARCHAR(128) NOT NULL PRIMARY KEY,
+    expires BIGINT NOT NULL,
+    data MEDIUMTEXT NOT NULL,
+    INDEX idx_sessions_expires (expires)
+);
+
+CREATE TABLE api_tokens (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    token_hash CHAR(64) NOT NULL UNIQUE,
+    token_prefix VARCHAR(16) NOT NULL,
+    scopes TEXT NULL,
+    expires_at TIMESTAMP NULL DEFAULT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TIMESTAMP NULL DEFAULT NULL,
+    last_used_ip VARCHAR(64) NULL,
+    revoked TINYINT(1) NOT NULL DEFAULT 0,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE TABLE audit_log (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    username VARCHAR(255) NOT NULL,
+    via VARCHAR(32) NOT NULL,
+    action VARCHAR(64) NOT NULL,
+    target VARCHAR(255) NULL,
+    params TEXT NULL,
+    outcome VARCHAR(16) NOT NULL,
+    detail VARCHAR(1000) NULL,
+    ip VARCHAR(64) NOT NULL,
+    INDEX idx_audit_created (created_at),
+    INDEX idx_audit_username (username),
+    INDEX idx_audit_action (action)
+);
+
+CREATE TABLE process_restarts (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    process VARCHAR(32) NOT NULL,
+    exited_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    exit_code INT NULL,
+    exit_signal VARCHAR(16) NULL,
+    reason VARCHAR(255) NOT NULL,
+    uptime_seconds INT NOT NULL DEFAULT 0,
+    action VARCHAR(16) NOT NULL,
+    restart_delay_ms INT NULL,
+    last_log TEXT NULL,
+    INDEX idx_process_restarts_process (process, exited_at)
+);
+
+CREATE TABLE restart_schedules (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    target VARCHAR(16) NOT NULL DEFAULT 'world',
+    cron VARCHAR(100) NULL,
+    run_at DATETIME NULL,
+    warn_minutes VARCHAR(100) NOT NULL DEFAULT '15,10,5,1',
+    message VARCHAR(255) NULL,
+    enabled TINYINT(1) NOT NULL DEFAULT 1,
+    next_run_at DATETIME NULL,
+    last_run_at DATETIME NULL,
+    last_result VARCHAR(255) NULL,
+    created_by VARCHAR(255) NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE build_jobs (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    job_id VARCHAR(64) NOT NULL,
+    started_by VARCHAR(255) NULL,
+    ref VARCHAR(255) NULL,
+    clean TINYINT(1) NOT NULL DEFAULT 0,
+    targets VARCHAR(64) NOT NULL,
+    status VARCHAR(16) NOT NULL,
+    commit_hash VARCHAR(64) NULL,
+    version VARCHAR(255) NULL,
+    error VARCHAR(255) NULL,
+    started_at DATETIME NOT NULL,
+    finished_at DATETIME NULL,
+    duration_seconds INT NULL,
+    log_tail MEDIUMTEXT NULL,
+    UNIQUE KEY uq_build_jobs_job (job_id)
+);
+
+CREATE TABLE binary_archive (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    target VARCHAR(32) NOT NULL,
+    file_path VARCHAR(512) NOT NULL,
+    sha256 CHAR(64) NOT NULL,
+    size_bytes BIGINT NOT NULL DEFAULT 0,
+    commit_hash VARCHAR(64) NULL,
+    git_version VARCHAR(255) NULL,
+    server_version TEXT NULL,
+    build_job_id VARCHAR(64) NULL,
+    source VARCHAR(16) NOT NULL,
+    archived_by VARCHAR(255) NULL,
+    archived_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    deployed TINYINT(1) NOT NULL DEFAULT 0,
+    deployed_at DATETIME NULL,
+    INDEX idx_binary_archive_target (target, id)
+);
+
+CREATE TABLE content_updates (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    job_id VARCHAR(64) NOT NULL,
+    mode VARCHAR(16) NOT NULL,
+    started_by VARCHAR(255) NULL,
+    ref VARCHAR(255) NULL,
+    keep_local TINYINT(1) NOT NULL DEFAULT 0,
+    from_commit VARCHAR(64) NULL,
+    to_commit VARCHAR(64) NULL,
+    status VARCHAR(16) NOT NULL,
+    files_copied INT NULL,
+    files_kept INT NULL,
+    files_backed_up INT NULL,
+    error VARCHAR(255) NULL,
+    started_at DATETIME NOT NULL,
+    finished_at DATETIME NULL,
+    duration_seconds INT NULL,
+    log_tail MEDIUMTEXT NULL,
+    UNIQUE KEY uq_content_updates_job (job_id)
+);
+
+CREATE TABLE status_samples (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    sampled_at DATETIME NOT NULL,
+    server VARCHAR(32) NOT NULL,
+    up TINYINT(1) NOT NULL,
+    login_connected TINYINT(1) NULL,
+    clients INT NULL,
+    INDEX idx_status_samples_server (server, sampled_at),
+    INDEX idx_status_samples_time (sampled_at)
+);
+
+CREATE TABLE zone_population (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    sampled_at DATETIME NOT NULL,
+    world VARCHAR(32) NOT NULL,
+    zone VARCHAR(128) NOT NULL,
+    clients INT NOT NULL,
+    INDEX idx_zone_population_world (world, sampled_at),
+    INDEX idx_zone_population_time (sampled_at)
+);
+
+CREATE TABLE notification_channels (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    type VARCHAR(16) NOT NULL,
+    target VARCHAR(1024) NOT NULL,
+    format VARCHAR(16) NULL,
+    events TEXT NOT NULL,
+    enabled TINYINT(1) NOT NULL DEFAULT 1,
+    created_by VARCHAR(255) NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE notification_log (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    sent_at DATETIME NOT NULL,
+    channel_id INT NULL,
+    channel_name VARCHAR(100) NULL,
+    event VARCHAR(32) NOT NULL,
+    title VARCHAR(255) NOT NULL,
+    status VARCHAR(16) NOT NULL,
+    error VARCHAR(255) NULL,
+    INDEX idx_notification_log_time (sent_at)
+);
+
+CREATE TABLE player_sessions (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    world VARCHAR(32) NOT NULL,
+    character_id INT NOT NULL,
+    character_name VARCHAR(64) NOT NULL,
+    account_id INT NULL,
+    zone VARCHAR(128) NULL,
+    login_at DATETIME NOT NULL,
+    logout_at DATETIME NULL,
+    last_seen_at DATETIME NOT NULL,
+    end_reason VARCHAR(16) NULL,
+    INDEX idx_player_sessions_character (world, character_id, login_at),
+    INDEX idx_player_sessions_login (world, login_at),
+    INDEX idx_player_sessions_open (world, logout_at)
+);
+
+CREATE TABLE player_events (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    at DATETIME NOT NULL,
+    world VARCHAR(32) NOT NULL,
+    character_id INT NOT NULL,
+    character_name VARCHAR(64) NOT NULL,
+    event VARCHAR(16) NOT NULL,
+    zone VARCHAR(128) NULL,
+    detail VARCHAR(128) NULL,
+    INDEX idx_player_events_character (world, character_id, at),
+    INDEX idx_player_events_time (at)
+);
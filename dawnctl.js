@@ -0,0 +1,259 @@
+#!/usr/bin/env node
+// dawnctl.js
+// -------------------------------------------------------------
+// Command-line administration for Dawn, using dawn_config.json to
+// connect to the Dawn database directly (no SQL pasting).
+//
+//   node dawnctl.js user add <username> [--role user] [--password P]
+//   node dawnctl.js user passwd <username> [--password P] [--reset-2fa]
+//   node dawnctl.js user role <username> <user|moderator|admin>
+//   node dawnctl.js user disable <username> [--enable]
+//   node dawnctl.js user list
+//   node dawnctl.js user delete <username>
+//
+// Common options:
+//   --config <file>   config file (default: dawn_config.json next to this script)
+//   --json            machine-readable output on stdout
+//   --force           allow removing/disabling/demoting the last enabled admin
+//
+// Without --password the password is prompted for (hidden on a terminal)
+// or read from the first line of stdin, so it stays out of the process list.
+// -------------------------------------------------------------
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { parseArgs } = require('util');
+const mysql = require('mysql2');
+const { query, ensureSchema } = require('./dawnDb');
+const { createPasswordHasher } = require('./passwords');
+const { ROLE_ORDER } = require('./permissions');
+
+// stdout carries command output only; diagnostics (schema upgrades etc.) go to stderr
+const out = (s) => process.stdout.write(s + '\n');
+const logI = (...a) => console.error('[dawn-db]', ...a);
+
+class UsageError extends Error {}
+
+const USAGE = `Usage: node dawnctl.js user <add|passwd|role|disable|list|delete> [args] [--json] [--config file]
+
+  user add <username> [--role ${ROLE_ORDER.join('|')}] [--password P]
+  user passwd <username> [--password P] [--reset-2fa]
+  user role <username> <${ROLE_ORDER.join('|')}>
+  user disable <username> [--enable]
+  user list
+  user delete <username>
+
+  --force  allow removing, disabling or demoting the last enabled admin`;
+
+const OPTIONS = {
+  config: { type: 'string', short: 'c' },
+  password: { type: 'string', short: 'p' },
+  role: { type: 'string', short: 'r' },
+  json: { type: 'boolean' },
+  force: { type: 'boolean' },
+  enable: { type: 'boolean' },
+  'reset-2fa': { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+// { ...options, _: positionals }; unknown options or a missing value print the usage
+function parseArgv(args) {
+  try {
+    const { values, positionals } = parseArgs({ args, options: OPTIONS, allowPositionals: true });
+    return { ...values, _: positionals };
+  } catch (e) {
+    console.error(`${e.message}\n\n${USAGE}`);
+    process.exit(2);
+  }
+}
+
+const argv = parseArgv(process.argv.slice(2));
+
+function loadConfig() {
+  const file = argv.config ? path.resolve(argv.config) : path.join(__dirname, 'dawn_config.json');
+  if (!fs.existsSync(file)) throw new UsageError(`Config file not found: ${file}`);
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function connect(config) {
+  const db = mysql.createConnection({
+    host: config.mysql.host,
+    user: config.mysql.user,
+    password: config.mysql.password,
+    database: config.mysql.database
+  });
+  return new Promise((resolve, reject) => {
+    db.connect(err => (err ? reject(err) : resolve(db)));
+  });
+}
+
+// ---- password input ----
+function readPassword(prompt) {
+  if (!process.stdin.isTTY) {
+    // Piped: first line of stdin
+    return new Promise((resolve, reject) => {
+      const rl = readline.createInterface({ input: process.stdin });
+      let line = null;
+      rl.once('line', l => { line = l; rl.close(); });
+      rl.once('close', () => (line == null ? reject(new UsageError('No password on stdin')) : resolve(line)));
+    });
+  }
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stderr, terminal: true });
+    // Echo nothing while typing
+    rl._writeToOutput = () => {};
+    process.stderr.write(prompt);
+    rl.question('', (answer) => {
+      rl.close();
+      process.stderr.write('\n');
+      resolve(answer);
+    });
+  });
+}
+
+async function newPassword() {
+  if (argv.password != null) return String(argv.password);
+  const first = await readPassword('New password: ');
+  if (process.stdin.isTTY) {
+    const again = await readPassword('Repeat password: ');
+    if (first !== again) throw new UsageError('Passwords do not match');
+  }
+  return first;
+}
+
+// ---- user commands ----
+function needUsername(args) {
+  const username = String(args[0] || '').trim();
+  if (!username) throw new UsageError('Username is required');
+  return username;
+}
+
+function needRole(role) {
+  role = String(role || '');
+  if (!ROLE_ORDER.includes(role)) throw new UsageError(`Unknown role: ${role} (expected ${ROLE_ORDER.join(', ')})`);
+  return role;
+}
+
+function createUserCommands(db, passwords) {
+  async function findUser(username) {
+    const rows = await query(db, 'SELECT id, username, role, disabled FROM users WHERE username = ?', [username]);
+    if (!rows.length) throw new UsageError(`Unknown user: ${username}`);
+    return rows[0];
+  }
+
+  // Same rule as the web UI: keep at least one enabled admin, unless --force
+  async function guardLastAdmin(user, what) {
+    if (argv.force || user.role !== 'admin' || user.disabled) return;
+    const rows = await query(db,
+      "SELECT COUNT(*) AS n FROM users WHERE role = 'admin' AND disabled = 0 AND id <> ?",
+      [user.id]);
+    if (rows[0].n === 0) throw new UsageError(`Refusing to ${what} the last enabled admin (use --force)`);
+  }
+
+  async function hashed(password) {
+    if (!password) throw new UsageError('Password must not be empty');
+    const salt = passwords.generateSalt();
+    return { salt, hash: await passwords.hashPassword(password, salt) };
+  }
+
+  return {
+    async add(args) {
+      const username = needUsername(args);
+      const role = needRole(argv.role || 'user');
+      const { salt, hash } = await hashed(await newPassword());
+      try {
+        await query(db, 'INSERT INTO users (username, password, salt, role) VALUES (?, ?, ?, ?)', [username, hash, salt, role]);
+      } catch (e) {
+        if (e.code === 'ER_DUP_ENTRY') throw new UsageError(`User "${username}" already exists (use "user passwd" to reset the password)`);
+        throw e;
+      }
+      return { message: `Created ${role} ${username}`, username, role };
+    },
+
+    async passwd(args) {
+      const user = await findUser(needUsername(args));
+      const { salt, hash } = await hashed(await newPassword());
+      await query(db, 'UPDATE users SET password = ?, salt = ? WHERE id = ?', [hash, salt, user.id]);
+      if (argv['reset-2fa']) {
+        await query(db,
+          'UPDATE users SET totp_enabled = 0, totp_secret = NULL, totp_last_step = NULL, totp_recovery = NULL WHERE id = ?',
+          [user.id]);
+      }
+      return {
+        message: `Password of ${user.username} changed${argv['reset-2fa'] ? ', two-factor authentication reset' : ''}`,
+        username: user.username,
+        reset2fa: !!argv['reset-2fa']
+      };
+    },
+
+    async role(args) {
+      const user = await findUser(needUsername(args));
+      const role = needRole(args[1]);
+      if (role !== 'admin') await guardLastAdmin(user, 'demote');
+      await query(db, 'UPDATE users SET role = ? WHERE id = ?', [role, user.id]);
+      return { message: `Role of ${user.username}: ${user.role} -> ${role}`, username: user.username, previous: user.role, role };
+    },
+
+    async disable(args) {
+      const user = await findUser(needUsername(args));
+      const disabled = !argv.enable;
+      if (disabled) await guardLastAdmin(user, 'disable');
+      await query(db, 'UPDATE users SET disabled = ? WHERE id = ?', [disabled ? 1 : 0, user.id]);
+      return { message: `${user.username} ${disabled ? 'disabled' : 'enabled'}`, username: user.username, disabled };
+    },
+
+    async list() {
+      const rows = await query(db,
+        'SELECT id, username, role, disabled, totp_enabled, created_at, last_login FROM users ORDER BY username');
+      const users = rows.map(u => ({ ...u, disabled: !!u.disabled, totp_enabled: !!u.totp_enabled }));
+      const fmt = (d) => (d ? new Date(d).toISOString().replace('T', ' ').slice(0, 19) : '-');
+      const table = [['ID', 'USERNAME', 'ROLE', 'STATUS', '2FA', 'LAST LOGIN']]
+        .concat(users.map(u => [String(u.id), u.username, u.role, u.disabled ? 'disabled' : 'active', u.totp_enabled ? 'yes' : 'no', fmt(u.last_login)]));
+      const widths = table[0].map((_, i) => Math.max(...table.map(r => r[i].length)));
+      return {
+        message: table.map(r => r.map((c, i) => c.padEnd(widths[i])).join('  ').trimEnd()).join('\n'),
+        users
+      };
+    },
+
+    async delete(args) {
+      const user = await findUser(needUsername(args));
+      await guardLastAdmin(user, 'delete');
+      await query(db, 'DELETE FROM users WHERE id = ?', [user.id]);
+      return { message: `Deleted ${user.username}`, username: user.username };
+    }
+  };
+}
+
+async function main() {
+  const [group, command, ...args] = argv._.map(String);
+  if (argv.help) return out(USAGE);
+  if (!group) throw new UsageError(USAGE);
+  if (group !== 'user') throw new UsageError(`Unknown command group: ${group}\n\n${USAGE}`);
+
+  const config = loadConfig();
+  const passwords = createPasswordHasher(config);
+  const db = await connect(config);
+  try {
+    await ensureSchema(db, { log: logI });
+    const commands = createUserCommands(db, passwords);
+    if (!Object.prototype.hasOwnProperty.call(commands, command)) {
+      throw new UsageError(`Unknown user command: ${command || '(none)'}\n\n${USAGE}`);
+    }
+    const result = await commands[command](args);
+    const { message, ...data } = result;
+    out(argv.json ? JSON.stringify({ ok: true, ...data }) : message);
+  } finally {
+    db.end();
+  }
+}
+
+main().catch((e) => {
+  if (argv.json) {
+    out(JSON.stringify({ ok: false, error: e.message }));
+  } else {
+    console.error(e instanceof UsageError ? e.message : `Error: ${e.message}`);
+  }
+  process.exitCode = e instanceof UsageError ? 2 : 1;
+});
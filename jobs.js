@@ -0,0 +1,181 @@
+// jobs.js
+// -------------------------------------------------------------
+// Shared plumbing for long-running jobs that stream their output
+// to the browser (source builds, content updates).
+// - createJobStore(prefix, onFinish): in-memory jobs with a log backlog
+//   and an emitter ('log', 'done', 'fail'); one running job per store;
+//   onFinish(job) runs once a job succeeded or failed
+// - runCommand(): spawn without a shell, every output line goes to
+//   job.log(); rejects on a non-zero exit
+// - streamJob(): SSE response (backlog first, then live events); also
+//   used for world drains (worldDrain.js) through its `outcome` option
+// -------------------------------------------------------------
+
+const { spawn } = require('child_process');
+const { EventEmitter } = require('events');
+
+// Per job; make output can be long, the oldest lines are dropped
+const MAX_LOG_LINES = 5000;
+// Finished jobs kept for late SSE subscribers
+const KEEP_JOBS = 10;
+
+function createJobStore(prefix, onFinish) {
+  const jobs = new Map(); // id -> job
+  let active = null;
+
+  function create(fields = {}) {
+    if (active) throw Object.assign(new Error(`A ${prefix} job is already running`), { status: 409 });
+
+    const id = `${prefix}_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+    const emitter = new EventEmitter();
+    emitter.on('error', () => {}); // guard
+
+    const job = {
+      ...fields,
+      id,
+      status: 'running', // running | success | failed
+      startedAt: new Date(),
+      finishedAt: null,
+      result: null,
+      error: null,
+      logs: [],
+      dropped: 0,
+      emitter,
+      log(line) {
+        job.logs.push(line);
+        if (job.logs.length > MAX_LOG_LINES) {
+          job.logs.shift();
+          job.dropped++;
+        }
+        emitter.emit('log', line);
+      },
+      succeed(result) {
+        job.status = 'success';
+        job.result = result || null;
+        job.finishedAt = new Date();
+        if (active === job) active = null;
+        emitter.emit('done', result || {});
+        finished(job);
+      },
+      fail(err) {
+        job.status = 'failed';
+        job.error = err && err.message ? err.message : String(err);
+        job.finishedAt = new Date();
+        if (active === job) active = null;
+        emitter.emit('fail', { message: job.error });
+        finished(job);
+      }
+    };
+
+    jobs.set(id, job);
+    active = job;
+    for (const old of [...jobs.keys()].slice(0, Math.max(0, jobs.size - KEEP_JOBS))) jobs.delete(old);
+    return job;
+  }
+
+  function finished(job) {
+    if (!onFinish) return;
+    try {
+      onFinish(job);
+    } catch (e) {
+      console.warn(`[jobs:warn] ${prefix} finish hook failed:`, e.message);
+    }
+  }
+
+  return {
+    create,
+    get: (id) => jobs.get(id) || null,
+    current: () => active
+  };
+}
+
+/**
+ * Run `command args` in `cwd`; stdout/stderr lines go to job.log().
+ * Resolves with the collected stdout, rejects on spawn errors / non-zero exit.
+ */
+function runCommand(job, command, args, { cwd, env, quiet = false } = {}) {
+  return new Promise((resolve, reject) => {
+    if (!quiet) job.log(`$ ${[command, ...args].join(' ')}`);
+    const child = spawn(command, args, { cwd, env: { ...process.env, ...(env || {}) } });
+    let stdout = '';
+    const pipe = (stream, keep) => {
+      let rest = '';
+      stream.setEncoding('utf8');
+      stream.on('data', (chunk) => {
+        if (keep) stdout += chunk;
+        const lines = (rest + chunk).split(/\r?\n/);
+        rest = lines.pop();
+        if (!quiet) lines.forEach(l => job.log(l));
+      });
+      stream.on('end', () => { if (rest && !quiet) job.log(rest); });
+    };
+    pipe(child.stdout, true);
+    pipe(child.stderr, false);
+    child.once('error', reject);
+    child.once('close', (code, signal) => {
+      if (code === 0) return resolve(stdout);
+      reject(new Error(`${command} ${args[0] || ''} ${signal ? `killed by ${signal}` : `exited with code ${code}`}`.replace(/\s+/g, ' ')));
+    });
+  });
+}
+
+// createJobStore() job -> [event, payload] once it has ended, null while running
+function storeOutcome(job) {
+  if (job.status === 'success') return ['done', job.result || {}];
+  if (job.status === 'failed') return ['fail', { message: job.error || 'Unknown error' }];
+  return null;
+}
+
+/**
+ * SSE response for `job` ({ logs, emitter: 'log' | 'done' | 'fail', dropped? }).
+ * opts.outcome(job) -> ['done' | 'fail', payload] for an ended job, else null;
+ * opts.unknown: the failure message when there is no such job.
+ */
+function streamJob(req, res, job, { outcome = storeOutcome, unknown = 'Unknown job' } = {}) {
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\n`);
+    res.write(`data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`);
+  };
+
+  if (!job) {
+    send('fail', { message: unknown });
+    return res.end();
+  }
+
+  // backlog
+  if (job.dropped) send('log', `... ${job.dropped} earlier lines not kept ...`);
+  job.logs.forEach(line => send('log', line));
+  const ended = outcome(job);
+  if (ended) {
+    send(...ended);
+    return res.end();
+  }
+
+  const onLog  = (line) => send('log', line);
+  const onDone = (payload) => { send('done', payload); cleanup(); };
+  const onFail = (payload) => { send('fail', payload); cleanup(); };
+
+  const cleanup = () => {
+    job.emitter.off('log', onLog);
+    job.emitter.off('done', onDone);
+    job.emitter.off('fail', onFail);
+    try { res.end(); } catch {}
+  };
+
+  const ping = setInterval(() => { res.write(': ping\n\n'); }, 20000);
+  req.on('close', () => { clearInterval(ping); cleanup(); });
+
+  job.emitter.on('log', onLog);
+  job.emitter.on('done', onDone);
+  job.emitter.on('fail', onFail);
+}
+
+module.exports = {
+  createJobStore,
+  runCommand,
+  streamJob
+};
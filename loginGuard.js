@@ -0,0 +1,183 @@
+// loginGuard.js
+// -------------------------------------------------------------
+// Brute-force protection for POST /login (and the 2FA step).
+// - Failed attempts tracked per username and per source IP
+// - After `free_attempts` failures each further failure adds an
+//   exponentially growing delay; at `lockout_threshold` the key
+//   is locked for `lockout_minutes`
+// - Counters reset after `window_minutes` without a failure
+// - begin() gates and reserves an attempt: attempts still being
+//   verified count as failures, so parallel guesses can't all pass
+//   the gate before the first failure is recorded
+// - Every attempt is recorded in the login_events table
+// -------------------------------------------------------------
+
+const { query } = require('./dawnDb');
+
+const DEFAULTS = {
+  free_attempts: 3,
+  base_delay_ms: 1000,
+  max_delay_ms: 60000,
+  lockout_threshold: 10,
+  lockout_minutes: 15,
+  window_minutes: 15
+};
+
+const logW = (...a) => console.warn('[login-guard:warn]', ...a);
+
+/**
+ * options: config.security.login_throttle (optional), see DEFAULTS
+ */
+function createLoginGuard({ db, options = {} }) {
+  const opts = { ...DEFAULTS, ...options };
+  const entries = new Map(); // 'user:<name>' | 'ip:<addr>' -> { failures, lastFailure, nextAllowedAt, lockedUntil }
+  const inFlight = new Map(); // same keys -> attempts between begin() and finish()
+
+  const keysFor = (username, ip) => {
+    const keys = [];
+    if (username) keys.push(`user:${String(username).toLowerCase()}`);
+    if (ip) keys.push(`ip:${ip}`);
+    return keys;
+  };
+
+  function fresh(key, now) {
+    const e = entries.get(key);
+    if (!e) return null;
+    const expired = now - e.lastFailure > opts.window_minutes * 60000 && e.lockedUntil <= now;
+    if (expired) {
+      entries.delete(key);
+      return null;
+    }
+    return e;
+  }
+
+  /** { allowed, retryAfterMs, reason } */
+  function check(username, ip, now = Date.now()) {
+    let retryAfterMs = 0;
+    let reason = null;
+    for (const key of keysFor(username, ip)) {
+      const e = fresh(key, now);
+      if (!e) continue;
+      if (e.lockedUntil > now && e.lockedUntil - now > retryAfterMs) {
+        retryAfterMs = e.lockedUntil - now;
+        reason = 'locked';
+      } else if (e.nextAllowedAt > now && e.nextAllowedAt - now > retryAfterMs) {
+        retryAfterMs = e.nextAllowedAt - now;
+        reason = reason || 'delayed';
+      }
+    }
+    return { allowed: retryAfterMs === 0, retryAfterMs, reason };
+  }
+
+  function recordFailure(username, ip, now = Date.now()) {
+    for (const key of keysFor(username, ip)) {
+      const e = fresh(key, now) || { failures: 0, lastFailure: 0, nextAllowedAt: 0, lockedUntil: 0 };
+      e.failures += 1;
+      e.lastFailure = now;
+      if (e.failures >= opts.lockout_threshold) {
+        e.lockedUntil = now + opts.lockout_minutes * 60000;
+        logW(`Locked ${key} after ${e.failures} failed logins`);
+      } else if (e.failures > opts.free_attempts) {
+        const delay = opts.base_delay_ms * 2 ** (e.failures - opts.free_attempts - 1);
+        e.nextAllowedAt = now + Math.min(opts.max_delay_ms, delay);
+      }
+      entries.set(key, e);
+    }
+  }
+
+  /**
+   * check() plus a reservation: { allowed, retryAfterMs, reason, finish(failed) }.
+   * Past the free attempts only one attempt per key may be in flight; call
+   * finish(true) for a failed attempt, finish() otherwise (safe to call twice).
+   */
+  function begin(username, ip, now = Date.now()) {
+    const gate = check(username, ip, now);
+    if (!gate.allowed) return gate;
+    const keys = keysFor(username, ip);
+    for (const key of keys) {
+      const e = fresh(key, now);
+      const pending = inFlight.get(key) || 0;
+      if (pending > 0 && (e ? e.failures : 0) + pending >= opts.free_attempts) {
+        return { allowed: false, retryAfterMs: opts.base_delay_ms, reason: 'delayed' };
+      }
+    }
+    keys.forEach(key => inFlight.set(key, (inFlight.get(key) || 0) + 1));
+    let finished = false;
+    return {
+      ...gate,
+      finish(failed = false) {
+        if (finished) return;
+        finished = true;
+        if (failed) recordFailure(username, ip);
+        for (const key of keys) {
+          const left = inFlight.get(key) - 1;
+          if (left > 0) inFlight.set(key, left);
+          else inFlight.delete(key);
+        }
+      }
+    };
+  }
+
+  function recordSuccess(username, ip) {
+    for (const key of keysFor(username, ip)) entries.delete(key);
+  }
+
+  /** Keys currently delayed or locked */
+  function lockouts(now = Date.now()) {
+    const out = [];
+    for (const key of [...entries.keys()]) {
+      const e = fresh(key, now);
+      if (!e) continue;
+      const [type, ...rest] = key.split(':');
+      out.push({
+        type,
+        key: rest.join(':'),
+        failures: e.failures,
+        lastFailure: new Date(e.lastFailure).toISOString(),
+        locked: e.lockedUntil > now,
+        lockedUntil: e.lockedUntil > now ? new Date(e.lockedUntil).toISOString() : null,
+        delayedUntil: e.nextAllowedAt > now ? new Date(e.nextAllowedAt).toISOString() : null
+      });
+    }
+    return out.sort((a, b) => b.failures - a.failures);
+  }
+
+  function clear(type, key) {
+    if (type !== 'user' && type !== 'ip') return false;
+    const k = type === 'user' ? `user:${String(key).toLowerCase()}` : `ip:${key}`;
+    return entries.delete(k);
+  }
+
+  // Persist an attempt; never let logging break a login
+  function recordEvent({ username, ip, success, reason }) {
+    query(db, 'INSERT INTO login_events (username, ip, success, reason) VALUES (?, ?, ?, ?)',
+      [String(username || '').slice(0, 255), String(ip || '').slice(0, 64), success ? 1 : 0, reason || null])
+      .catch(e => logW('Could not record login event:', e.message));
+  }
+
+  async function events({ username, ip, success, limit = 200 } = {}) {
+    const where = [];
+    const args = [];
+    if (username) { where.push('username = ?'); args.push(username); }
+    if (ip) { where.push('ip = ?'); args.push(ip); }
+    if (success === true || success === false) { where.push('success = ?'); args.push(success ? 1 : 0); }
+    args.push(Math.max(1, Math.min(1000, Number(limit) || 200)));
+    return query(db,
+      `SELECT id, username, ip, success, reason, created_at FROM login_events
+       ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+       ORDER BY id DESC LIMIT ?`, args);
+  }
+
+  // Drop stale counters so the map cannot grow without bound
+  const pruneTimer = setInterval(() => {
+    const now = Date.now();
+    for (const key of [...entries.keys()]) fresh(key, now);
+  }, 60000);
+  pruneTimer.unref();
+
+  return { check, begin, recordFailure, recordSuccess, lockouts, clear, recordEvent, events };
+}
+
+module.exports = {
+  createLoginGuard
+};
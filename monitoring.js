@@ -0,0 +1,185 @@
+// monitoring.js
+// -------------------------------------------------------------
+// Dawn health check and Prometheus metrics.
+// - health(): Dawn's own state (Dawn DB reachable, status polling
+//   still completing); 'fail' answers /healthz with 503
+// - metrics(): Prometheus text format (version 0.0.4) built from the
+//   data the pollers already hold: login / world up, pids, uptimes,
+//   world-login connection, clients in total and per zone, restart
+//   counts, last build and world DB update durations
+// - checkToken(): optional shared token (config.monitoring.token) as
+//   "Authorization: Bearer <token>" or ?token=; open when unset
+// Settings: config.monitoring (optional), see DEFAULTS.
+// -------------------------------------------------------------
+
+const crypto = require('crypto');
+
+const DEFAULTS = {
+  token: '',
+  // A status poll older than this counts as stuck (polls run every 5s)
+  poll_stale_seconds: 60,
+  db_timeout_ms: 2000
+};
+
+const logW = (...a) => console.warn('[monitoring:warn]', ...a);
+
+const sha256 = (s) => crypto.createHash('sha256').update(String(s)).digest();
+const seconds = (date) => (date ? Math.round(new Date(date).getTime() / 1000) : null);
+const isUp = (status) => status === 'online' || status === 'available';
+
+// Prometheus label values: backslash, quote and newline escaped
+const labelValue = (v) => String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+/** Collects metric families, renders them in the text exposition format */
+function metricWriter() {
+  const families = [];
+  const byName = new Map();
+
+  function add(type, name, help, value, labels = {}) {
+    if (value == null || Number.isNaN(Number(value))) return;
+    let fam = byName.get(name);
+    if (!fam) {
+      fam = { name, help, type, samples: [] };
+      byName.set(name, fam);
+      families.push(fam);
+    }
+    const keys = Object.keys(labels);
+    const labelText = keys.length ? `{${keys.map(k => `${k}="${labelValue(labels[k])}"`).join(',')}}` : '';
+    fam.samples.push(`${name}${labelText} ${Number(value)}`);
+  }
+
+  return {
+    gauge: (name, help, value, labels) => add('gauge', name, help, value, labels),
+    counter: (name, help, value, labels) => add('counter', name, help, value, labels),
+    text: () => families.map(f => `# HELP ${f.name} ${f.help}\n# TYPE ${f.name} ${f.type}\n${f.samples.join('\n')}\n`).join('')
+  };
+}
+
+/**
+ * @param {object}   db          Dawn DB connection
+ * @param {object}   supervisor  from createSupervisor()
+ * @param {object}   autoRestart from createAutoRestart()
+ * @param {object}   worlds      from createWorlds()
+ * @param {object}   builds      from createBuildJobs()
+ * @param {function} login       () => { status, version, polledAt }, the polled login server state
+ * @param {function} busy        () => { build, content }, running jobs (null when idle)
+ * @param {object}   options     config.monitoring
+ */
+function createMonitoring({ db, supervisor, autoRestart, worlds, builds, login, busy, options = {} }) {
+  const opts = { ...DEFAULTS, ...options };
+  const tokenHash = opts.token ? sha256(opts.token) : null;
+
+  function pingDb() {
+    const started = Date.now();
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => resolve({ ok: false, error: `no answer within ${opts.db_timeout_ms} ms` }), opts.db_timeout_ms);
+      db.ping((err) => {
+        clearTimeout(timer);
+        resolve(err ? { ok: false, error: err.message } : { ok: true, latencyMs: Date.now() - started });
+      });
+    });
+  }
+
+  function pollAge(polledAt) {
+    return polledAt ? Math.round((Date.now() - polledAt.getTime()) / 1000) : null;
+  }
+
+  /** -> { status: ok|fail, ... }; polls not yet run count as fine (Dawn just started) */
+  async function health() {
+    const database = await pingDb();
+    const ages = { login: pollAge(login().polledAt) };
+    for (const w of worlds.list()) ages[w.id] = pollAge(w.polledAt);
+    const stuck = Object.keys(ages).filter(k => ages[k] != null && ages[k] > opts.poll_stale_seconds);
+    const polling = { ok: stuck.length === 0, ageSeconds: ages };
+    if (stuck.length) polling.error = `no completed status poll for ${stuck.join(', ')} in ${opts.poll_stale_seconds}s`;
+
+    const ok = database.ok && polling.ok;
+    return {
+      status: ok ? 'ok' : 'fail',
+      uptimeSeconds: Math.round(process.uptime()),
+      checks: { database, polling },
+      jobs: busy()
+    };
+  }
+
+  async function metrics() {
+    const m = metricWriter();
+    const state = login();
+
+    m.gauge('dawn_up', 'Dawn is running', 1);
+    m.gauge('dawn_uptime_seconds', 'Seconds since Dawn started', Math.round(process.uptime()));
+
+    m.gauge('eq2emu_login_up', 'Login server reports online (admin API status poll)', isUp(state.status) ? 1 : 0);
+    for (const w of worlds.list()) {
+      const labels = { world: w.id, name: w.name };
+      m.gauge('eq2emu_world_up', 'World server reports online (admin API status poll)', isUp(w.serverStatus) ? 1 : 0, labels);
+      m.gauge('eq2emu_world_login_connected', 'World server is connected to the login server', w.status.login_connected === 'connected' ? 1 : 0, labels);
+
+      const clients = Array.isArray(w.clients.Clients) ? w.clients.Clients : [];
+      m.gauge('eq2emu_world_clients', 'Connected clients per world', clients.length, labels);
+      const perZone = new Map();
+      for (const c of clients) {
+        const zone = c.zonename || 'none';
+        perZone.set(zone, (perZone.get(zone) || 0) + 1);
+      }
+      for (const [zone, count] of perZone) {
+        m.gauge('eq2emu_zone_clients', 'Connected clients per zone', count, { world: w.id, zone });
+      }
+
+      const upd = w.lastDbUpdate;
+      if (upd) {
+        m.gauge('eq2emu_worlddb_update_last_duration_seconds', 'Duration of the last world DB update', upd.durationSeconds, { world: w.id });
+        m.gauge('eq2emu_worlddb_update_last_success', 'The last world DB update succeeded', upd.status === 'success' ? 1 : 0, { world: w.id });
+        m.gauge('eq2emu_worlddb_update_last_finished_timestamp_seconds', 'When the last world DB update finished', seconds(upd.finishedAt), { world: w.id });
+      }
+    }
+    m.gauge('eq2emu_clients', 'Connected clients on all worlds',
+      worlds.list().reduce((n, w) => n + (Array.isArray(w.clients.Clients) ? w.clients.Clients.length : 0), 0));
+
+    for (const proc of supervisor.list()) {
+      const st = proc.status();
+      const restart = autoRestart.status(proc.name);
+      const labels = { process: proc.name };
+      m.gauge('eq2emu_process_running', 'Server process is running (supervisor)', st.running ? 1 : 0, labels);
+      m.gauge('eq2emu_process_pid', 'Server process id (0 when stopped)', st.pid || 0, labels);
+      m.gauge('eq2emu_process_uptime_seconds', 'Seconds since the server process started', st.uptimeSeconds || 0, labels);
+      m.gauge('eq2emu_process_crash_loop', 'Auto-restart gave up after a crash loop', restart.state === 'crash_loop' ? 1 : 0, labels);
+      m.counter('eq2emu_process_unexpected_exits_total', 'Unexpected server exits since Dawn started', restart.unexpectedExits, labels);
+      m.counter('eq2emu_process_restarts_total', 'Automatic restarts since Dawn started', restart.restarts, labels);
+    }
+
+    const jobs = busy();
+    m.gauge('dawn_build_running', 'A source build is running', jobs.build ? 1 : 0);
+    m.gauge('dawn_content_update_running', 'A content update is running', jobs.content ? 1 : 0);
+    try {
+      const last = await builds.lastFinished();
+      if (last) {
+        m.gauge('dawn_build_last_duration_seconds', 'Duration of the last finished build', last.duration_seconds);
+        m.gauge('dawn_build_last_success', 'The last finished build succeeded', last.status === 'success' ? 1 : 0);
+        m.gauge('dawn_build_last_finished_timestamp_seconds', 'When the last build finished', seconds(last.finished_at));
+      }
+    } catch (e) {
+      logW('Could not read the last build:', e.message);
+    }
+
+    return m.text();
+  }
+
+  /** Express middleware: the monitoring token when one is configured */
+  function checkToken() {
+    return (req, res, next) => {
+      if (!tokenHash) return next();
+      const header = (req.headers.authorization || '').match(/^Bearer\s+(\S+)$/i);
+      const given = header ? header[1] : req.query.token;
+      if (given && crypto.timingSafeEqual(sha256(given), tokenHash)) return next();
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      res.status(401).json({ ok: false, error: 'Monitoring token required' });
+    };
+  }
+
+  return { health, metrics, checkToken };
+}
+
+module.exports = {
+  createMonitoring
+};
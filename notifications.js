@@ -0,0 +1,380 @@
+// notifications.js
+// -------------------------------------------------------------
+// Alerts on server state changes and job outcomes.
+// - notify(event, ...) goes to every enabled channel subscribed to
+//   the event (see EVENTS); app.js raises them from the polling
+//   loops, supervisor / auto-restart events and finished jobs
+// - Channels (notification_channels): JSON webhooks with Discord,
+//   Slack or plain payloads, and email through the SMTP server in
+//   config.notifications.smtp
+// - The same event for the same server within dedupe_seconds is
+//   sent once; a channel gets at most rate_limit_per_hour messages,
+//   the count of held-back ones goes out with the next message
+// - transition(key, value): previous value when a polled state
+//   changed, so callers only notify on changes
+// - Every delivery (sent, failed, rate limited) is kept in
+//   notification_log for the notifications page
+// Settings: config.notifications (optional), see DEFAULTS.
+// -------------------------------------------------------------
+
+const axios = require('axios');
+const { query } = require('./dawnDb');
+
+const DEFAULTS = {
+  enabled: true,
+  dedupe_seconds: 300,
+  rate_limit_per_hour: 20,
+  timeout_ms: 10000,
+  // Keep the delivery log this long
+  log_days: 30,
+  // { host, port, secure, user, password, from }
+  smtp: {}
+};
+
+/** Everything a channel can subscribe to */
+const EVENTS = {
+  'server.crashed':       { label: 'Server exited unexpectedly', severity: 'critical' },
+  'server.crash_loop':    { label: 'Auto-restart gave up (crash loop)', severity: 'critical' },
+  'server.down':          { label: 'Server stopped answering its admin API', severity: 'critical' },
+  'server.up':            { label: 'Server back online', severity: 'info' },
+  'world.login_lost':     { label: 'World lost its login server connection', severity: 'warning' },
+  'world.login_restored': { label: 'World reconnected to the login server', severity: 'info' },
+  'build.success':        { label: 'Source build finished', severity: 'info' },
+  'build.failed':         { label: 'Source build failed', severity: 'warning' },
+  'content.success':      { label: 'Content update finished', severity: 'info' },
+  'content.failed':       { label: 'Content update failed', severity: 'warning' },
+  'worlddb.success':      { label: 'World DB update finished', severity: 'info' },
+  'worlddb.failed':       { label: 'World DB update failed', severity: 'warning' }
+};
+
+const TYPES = ['webhook', 'email'];
+const FORMATS = ['discord', 'slack', 'json'];
+// Discord rejects longer message content
+const DISCORD_MAX = 2000;
+const HOUR_MS = 60 * 60 * 1000;
+
+const logI = (...a) => console.log('[notifications]', ...a);
+const logW = (...a) => console.warn('[notifications:warn]', ...a);
+
+const invalid = (message) => Object.assign(new Error(message), { status: 400 });
+
+/** "a,b" | ["a","b"] -> known event names ('*' = all) */
+function parseEvents(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  const events = list.map(v => String(v).trim()).filter(v => v === '*' || EVENTS[v]);
+  return events.includes('*') ? ['*'] : [...new Set(events)];
+}
+
+/**
+ * Validate and normalise a create/update payload; throws (status 400) with a readable message.
+ */
+function normalizeChannel(body) {
+  const name = String(body.name || '').trim().slice(0, 100);
+  if (!name) throw invalid('Name is required');
+
+  const type = String(body.type || 'webhook');
+  if (!TYPES.includes(type)) throw invalid(`Unknown channel type: ${type}`);
+
+  const target = String(body.target || '').trim();
+  let format = null;
+  if (type === 'webhook') {
+    let url;
+    try {
+      url = new URL(target);
+    } catch (e) {
+      throw invalid('The webhook URL is not valid');
+    }
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') throw invalid('The webhook URL must be http(s)');
+    format = String(body.format || 'json');
+    if (!FORMATS.includes(format)) throw invalid(`Unknown webhook format: ${format}`);
+  } else {
+    const addresses = target.split(',').map(a => a.trim()).filter(Boolean);
+    if (!addresses.length || addresses.some(a => !/^[^\s@]+@[^\s@]+$/.test(a))) {
+      throw invalid('Enter one or more email addresses, separated by commas');
+    }
+  }
+  if (target.length > 1024) throw invalid('The target is too long');
+
+  const events = parseEvents(body.events);
+  if (!events.length) throw invalid('Subscribe to at least one event');
+  const enabled = body.enabled == null ? true : ['1', 'true', 'on', 'yes'].includes(String(body.enabled).toLowerCase());
+
+  return { name, type, target, format, events: events.join(','), enabled };
+}
+
+/**
+ * @param {object} db      Dawn DB connection
+ * @param {object} options config.notifications
+ */
+function createNotifications({ db, options = {} }) {
+  const opts = { ...DEFAULTS, ...options };
+  const channels = new Map(); // id -> row (events as array)
+  const lastSent = new Map(); // event|key -> ms
+  const states = new Map(); // transition key -> value
+  const limits = new Map(); // channel id -> { sent: [ms], held }
+  let loaded = null; // load() promise
+  let mailer = null;
+
+  async function load() {
+    const rows = await query(db, 'SELECT * FROM notification_channels');
+    channels.clear();
+    for (const row of rows) {
+      row.enabled = !!row.enabled;
+      row.events = parseEvents(row.events);
+      channels.set(row.id, row);
+    }
+  }
+
+  // Channels are read on first use; the table may not exist before ensureSchema ran
+  function ready() {
+    if (!loaded) {
+      loaded = load().catch(e => {
+        loaded = null;
+        throw e;
+      });
+    }
+    return loaded;
+  }
+
+  function start() {
+    ready().catch(e => logW('Could not load notification channels:', e.message));
+    setInterval(() => {
+      query(db, 'DELETE FROM notification_log WHERE sent_at < ?', [new Date(Date.now() - opts.log_days * 86400000)])
+        .catch(e => logW('Could not prune notification log:', e.message));
+    }, HOUR_MS).unref();
+  }
+
+  /** Previous value of `key` when `value` differs from it; undefined on the first call or no change */
+  function transition(key, value) {
+    const had = states.has(key);
+    const prev = states.get(key);
+    states.set(key, value);
+    return had && prev !== value ? prev : undefined;
+  }
+
+  // ---- delivery ----
+  function smtpTransport() {
+    const smtp = opts.smtp || {};
+    if (!smtp.host) throw new Error('SMTP is not configured (config.notifications.smtp.host)');
+    if (!mailer) {
+      // Only needed with email channels
+      const nodemailer = require('nodemailer');
+      mailer = nodemailer.createTransport({
+        host: smtp.host,
+        port: Number(smtp.port) || 587,
+        secure: !!smtp.secure,
+        auth: smtp.user ? { user: smtp.user, pass: smtp.password } : undefined,
+        connectionTimeout: opts.timeout_ms,
+        greetingTimeout: opts.timeout_ms,
+        socketTimeout: opts.timeout_ms
+      });
+    }
+    return mailer;
+  }
+
+  function webhookPayload(format, msg) {
+    const text = msg.text ? `${msg.title}\n${msg.text}` : msg.title;
+    if (format === 'discord') {
+      return { username: 'EQ2EMu Dawn', content: `**${msg.title}**${msg.text ? '\n' + msg.text : ''}`.slice(0, DISCORD_MAX) };
+    }
+    if (format === 'slack') return { text: `*${msg.title}*${msg.text ? '\n' + msg.text : ''}` };
+    return { event: msg.event, severity: msg.severity, title: msg.title, text, server: msg.server || null, at: msg.at };
+  }
+
+  async function deliver(channel, msg) {
+    if (channel.type === 'webhook') {
+      try {
+        await axios.post(channel.target, webhookPayload(channel.format, msg), { timeout: opts.timeout_ms });
+      } catch (e) {
+        throw new Error(e.response ? `Webhook answered HTTP ${e.response.status}` : `Webhook failed: ${e.message}`);
+      }
+      return;
+    }
+    await smtpTransport().sendMail({
+      from: opts.smtp.from || opts.smtp.user,
+      to: channel.target,
+      subject: `[Dawn ${msg.severity}] ${msg.title}`,
+      text: `${msg.text || msg.title}\n\n${msg.at.toLocaleString()}`
+    });
+  }
+
+  function logDelivery(channel, msg, status, error) {
+    return query(db,
+      'INSERT INTO notification_log (sent_at, channel_id, channel_name, event, title, status, error) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [msg.at, channel.id, channel.name, msg.event, msg.title.slice(0, 255), status, error ? error.slice(0, 255) : null])
+      .catch(e => logW('Could not record notification:', e.message));
+  }
+
+  // Sliding one-hour window per channel; false (and counted) when over the limit
+  function allow(channel) {
+    const now = Date.now();
+    if (!limits.has(channel.id)) limits.set(channel.id, { sent: [], held: 0 });
+    const l = limits.get(channel.id);
+    l.sent = l.sent.filter(t => now - t < HOUR_MS);
+    if (l.sent.length >= opts.rate_limit_per_hour) {
+      l.held++;
+      return false;
+    }
+    l.sent.push(now);
+    return true;
+  }
+
+  async function send(channel, msg) {
+    const l = limits.get(channel.id);
+    const held = l ? l.held : 0;
+    const out = held ? { ...msg, text: `${msg.text || ''}\n(${held} more notification${held === 1 ? '' : 's'} held back by the rate limit)`.trim() } : msg;
+    try {
+      await deliver(channel, out);
+      if (l) l.held = 0;
+      channel.last_error = null;
+      await logDelivery(channel, msg, 'sent', null);
+    } catch (e) {
+      channel.last_error = e.message;
+      logW(`${channel.name}: could not send "${msg.title}":`, e.message);
+      await logDelivery(channel, msg, 'failed', e.message);
+    }
+  }
+
+  /**
+   * Send `event` to its subscribed channels. Never rejects.
+   * @param {string} event  key of EVENTS
+   * @param {object} p      { title, text, server (name), key (dedupe key, default server) }
+   */
+  async function notify(event, { title, text, server, key } = {}) {
+    if (!opts.enabled || !EVENTS[event]) return;
+    try {
+      await ready();
+    } catch (e) {
+      logW(`Could not send ${event}:`, e.message);
+      return;
+    }
+
+    // Only an event handed to the channels counts for the dedupe window
+    const dedupeKey = `${event}|${key || server || ''}`;
+    const now = Date.now();
+    if (now - (lastSent.get(dedupeKey) || 0) < opts.dedupe_seconds * 1000) {
+      logI(`Skipped duplicate ${event}${server ? ` (${server})` : ''}`);
+      return;
+    }
+    lastSent.set(dedupeKey, now);
+    const msg = { event, severity: EVENTS[event].severity, title: title || EVENTS[event].label, text: text || '', server, at: new Date() };
+    const targets = [...channels.values()].filter(c => c.enabled && (c.events.includes('*') || c.events.includes(event)));
+    await Promise.all(targets.map(c => {
+      if (allow(c)) return send(c, msg);
+      logI(`${c.name}: rate limit reached, held back "${msg.title}"`);
+      return logDelivery(c, msg, 'rate_limited', null);
+    }));
+  }
+
+  // ---- CRUD for the notifications page ----
+  function view(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      type: row.type,
+      target: row.target,
+      format: row.format,
+      events: row.events,
+      enabled: !!row.enabled,
+      created_by: row.created_by,
+      last_error: row.last_error || null
+    };
+  }
+
+  async function list() {
+    await ready();
+    return [...channels.values()].map(view).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  async function getRow(id) {
+    await ready();
+    const row = channels.get(Number(id));
+    if (!row) throw Object.assign(new Error('Unknown channel'), { status: 404 });
+    return row;
+  }
+
+  async function create(body, username) {
+    await ready();
+    const c = normalizeChannel(body);
+    const result = await query(db,
+      `INSERT INTO notification_channels (name, type, target, format, events, enabled, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [c.name, c.type, c.target, c.format, c.events, c.enabled ? 1 : 0, username]);
+    const row = { id: result.insertId, ...c, events: parseEvents(c.events), created_by: username };
+    channels.set(row.id, row);
+    return view(row);
+  }
+
+  async function update(id, body) {
+    const row = await getRow(id);
+    const c = normalizeChannel({ enabled: row.enabled, ...body });
+    await query(db,
+      'UPDATE notification_channels SET name = ?, type = ?, target = ?, format = ?, events = ?, enabled = ? WHERE id = ?',
+      [c.name, c.type, c.target, c.format, c.events, c.enabled ? 1 : 0, row.id]);
+    Object.assign(row, c, { events: parseEvents(c.events), last_error: null });
+    return view(row);
+  }
+
+  async function setEnabled(id, enabled) {
+    const row = await getRow(id);
+    await query(db, 'UPDATE notification_channels SET enabled = ? WHERE id = ?', [enabled ? 1 : 0, row.id]);
+    row.enabled = !!enabled;
+    return view(row);
+  }
+
+  async function remove(id) {
+    const row = await getRow(id);
+    await query(db, 'DELETE FROM notification_channels WHERE id = ?', [row.id]);
+    channels.delete(row.id);
+    limits.delete(row.id);
+  }
+
+  /** Send a test message to one channel right away (no dedupe / rate limit); rejects on failure */
+  async function test(id, username) {
+    const row = await getRow(id);
+    const msg = {
+      event: 'test',
+      severity: 'info',
+      title: 'Dawn test notification',
+      text: `Sent by ${username || 'unknown'} from the notifications page. If you can read this, the "${row.name}" channel works.`,
+      at: new Date()
+    };
+    try {
+      await deliver(row, msg);
+    } catch (e) {
+      row.last_error = e.message;
+      await logDelivery(row, msg, 'failed', e.message);
+      throw Object.assign(e, { status: 502 });
+    }
+    row.last_error = null;
+    await logDelivery(row, msg, 'sent', null);
+  }
+
+  async function recent(limit = 50) {
+    return query(db,
+      `SELECT id, sent_at, channel_id, channel_name, event, title, status, error
+       FROM notification_log ORDER BY id DESC LIMIT ?`,
+      [Math.max(1, Math.min(500, Number(limit) || 50))]);
+  }
+
+  return {
+    start,
+    notify,
+    transition,
+    list,
+    create,
+    update,
+    setEnabled,
+    remove,
+    test,
+    recent,
+    events: EVENTS,
+    formats: FORMATS,
+    smtpConfigured: () => !!(opts.smtp && opts.smtp.host)
+  };
+}
+
+module.exports = {
+  createNotifications,
+  EVENTS
+};
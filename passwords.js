@@ -0,0 +1,97 @@
+// passwords.js
+// -------------------------------------------------------------
+// Password hashing for Dawn users.
+// - New hashes use scrypt; stored as scrypt$N$r$p$<base64 key>
+//   in users.password (salt stays in users.salt)
+// - Legacy hashes (bare hex HMAC-SHA512 keyed by salt) still verify
+//   and are reported as needing an upgrade
+// - Parameters come from config.passwords.scrypt (optional)
+// -------------------------------------------------------------
+
+const crypto = require('crypto');
+
+const DEFAULT_SCRYPT = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+
+function generateSalt() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+/** The original Dawn scheme, kept only to verify old hashes */
+function legacyHash(password, salt) {
+  const hash = crypto.createHmac('sha512', salt);
+  hash.update(password);
+  return hash.digest('hex');
+}
+
+function parseStored(stored) {
+  const parts = String(stored || '').split('$');
+  if (parts.length === 5 && parts[0] === 'scrypt') {
+    const [, N, r, p, key] = parts;
+    return { algorithm: 'scrypt', params: { N: Number(N), r: Number(r), p: Number(p) }, key };
+  }
+  return { algorithm: 'hmac-sha512', params: null, key: String(stored || '') };
+}
+
+function safeEqual(a, b) {
+  const ba = Buffer.from(a);
+  const bb = Buffer.from(b);
+  return ba.length === bb.length && crypto.timingSafeEqual(ba, bb);
+}
+
+function scryptOptions({ N, r, p }) {
+  // Default maxmem (32MB) is exactly N=16384,r=8; leave headroom for stronger settings
+  return { N, r, p, maxmem: 256 * N * r };
+}
+
+function encode(params, key) {
+  return `scrypt$${params.N}$${params.r}$${params.p}$${key.toString('base64')}`;
+}
+
+/**
+ * Build the hashing helpers from dawn_config.json.
+ * config.passwords.scrypt (optional): { "N": 16384, "r": 8, "p": 1 }
+ */
+function createPasswordHasher(config) {
+  const params = { ...DEFAULT_SCRYPT, ...((config && config.passwords && config.passwords.scrypt) || {}) };
+
+  function hashPassword(password, salt) {
+    return new Promise((resolve, reject) => {
+      crypto.scrypt(String(password), salt, KEY_LENGTH, scryptOptions(params), (err, key) => {
+        if (err) return reject(err);
+        resolve(encode(params, key));
+      });
+    });
+  }
+
+  function hashPasswordSync(password, salt) {
+    return encode(params, crypto.scryptSync(String(password), salt, KEY_LENGTH, scryptOptions(params)));
+  }
+
+  /** Resolves { ok, needsUpgrade } */
+  async function verifyPassword(password, salt, stored) {
+    const parsed = parseStored(stored);
+
+    if (parsed.algorithm === 'hmac-sha512') {
+      const ok = safeEqual(legacyHash(String(password), salt), parsed.key);
+      return { ok, needsUpgrade: ok };
+    }
+
+    const key = await new Promise((resolve, reject) => {
+      crypto.scrypt(String(password), salt, KEY_LENGTH, scryptOptions(parsed.params), (err, k) => {
+        if (err) return reject(err);
+        resolve(k);
+      });
+    });
+    const ok = safeEqual(key.toString('base64'), parsed.key);
+    const sameParams = parsed.params.N === params.N && parsed.params.r === params.r && parsed.params.p === params.p;
+    return { ok, needsUpgrade: ok && !sameParams };
+  }
+
+  return { generateSalt, hashPassword, hashPasswordSync, verifyPassword };
+}
+
+module.exports = {
+  generateSalt,
+  createPasswordHasher
+};
@@ -0,0 +1,107 @@
+// permissions.js
+// -------------------------------------------------------------
+// Role -> permission mapping for the Dawn web panel.
+// - Roles are hierarchical: each role inherits every permission
+//   of the roles below it (user < moderator < admin)
+// - Defaults can be overridden per role via config.permissions
+// - '*' grants every known permission
+// -------------------------------------------------------------
+
+/** Ordered lowest -> highest; matches the users.role ENUM */
+const ROLE_ORDER = ['user', 'moderator', 'admin'];
+
+/** Every permission a route can be guarded by */
+const PERMISSIONS = {
+  'server.start':      'Start the login/world servers',
+  'server.stop':       'Stop the login/world servers',
+  'server.compile':    'Kill and recompile login/world/Dawn',
+  'dawn.restart':      'Kill/restart the Dawn web server',
+  'content.update':    'Update or reset world content (LUA scripts)',
+  'logs.view':         'View login/world logs',
+  'diag.download':     'Download the diagnostics report',
+  'clients.view':      'List connected world clients',
+  'clients.setstatus': 'Change a character admin status',
+  'clients.moderate':  'Kick, message and teleport world clients',
+  'rules.view':        'View rulesets',
+  'rules.edit':        'Edit rulesets and reload rules',
+  'worlddb.update':    'Run the World DB updater',
+  'users.manage':      'Create and manage Dawn users',
+  'security.manage':   'View login events and clear lockouts',
+  'audit.view':        'View and export the audit log',
+  'schedule.manage':   'Create, edit and cancel scheduled restarts',
+  'history.view':      'View status and population history',
+  'notifications.manage': 'Manage alert channels and send test notifications'
+};
+
+const DEFAULT_ROLE_PERMISSIONS = {
+  user:      [],
+  moderator: ['logs.view', 'clients.view', 'clients.setstatus', 'clients.moderate', 'rules.view', 'diag.download', 'history.view'],
+  admin:     ['*']
+};
+
+function expand(list) {
+  const out = new Set();
+  for (const p of list || []) {
+    if (p === '*') Object.keys(PERMISSIONS).forEach(k => out.add(k));
+    else if (PERMISSIONS[p]) out.add(p);
+    else console.warn('[permissions] Ignoring unknown permission in config:', p);
+  }
+  return out;
+}
+
+/**
+ * Build the permission helpers from dawn_config.json.
+ * config.permissions (optional): { "<role>": ["perm", ...], ... }
+ * A role listed in config replaces that role's defaults; inheritance still applies.
+ */
+function createPermissions(config) {
+  const overrides = (config && config.permissions) || {};
+  const byRole = new Map();
+
+  let inherited = new Set();
+  for (const role of ROLE_ORDER) {
+    const own = expand(Array.isArray(overrides[role]) ? overrides[role] : DEFAULT_ROLE_PERMISSIONS[role]);
+    inherited = new Set([...inherited, ...own]);
+    byRole.set(role, inherited);
+  }
+
+  function permissionsFor(role) {
+    return [...(byRole.get(role) || [])];
+  }
+
+  function can(role, permission) {
+    const set = byRole.get(role);
+    return !!(set && set.has(permission));
+  }
+
+  // Session-aware check: API token scopes can only narrow the role's permissions
+  function allowed(session, permission) {
+    if (!session || !session.loggedin || !can(session.role, permission)) return false;
+    const scopes = session.apiToken && session.apiToken.scopes;
+    return !scopes || scopes.includes(permission);
+  }
+
+  // Route guard; same failure behaviour as the old checkRole
+  function checkPermission(permission) {
+    if (!PERMISSIONS[permission]) throw new Error(`Unknown permission: ${permission}`);
+    return function (req, res, next) {
+      if (allowed(req.session, permission)) {
+        next();
+      } else if (req.session.apiToken) {
+        res.status(403).json({ ok: false, error: `API token lacks permission: ${permission}` });
+      } else {
+        // redirect failures to dashboard all users can access (which will send to login prompt if not logged in)
+        res.redirect(`/dashboard`);
+      }
+    };
+  }
+
+  return { permissionsFor, can, allowed, checkPermission };
+}
+
+module.exports = {
+  ROLE_ORDER,
+  PERMISSIONS,
+  DEFAULT_ROLE_PERMISSIONS,
+  createPermissions
+};
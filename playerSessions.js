@@ -0,0 +1,308 @@
+// playerSessions.js
+// -------------------------------------------------------------
+// Player session history from the world client polls.
+// - observe(world, clients): diffs a /clients poll against the
+//   previous one of that world into login, logout, zone and
+//   linkdead / relinked events (player_events)
+// - player_sessions: one row per character login; logout_at stays
+//   NULL while the character is online, last_seen_at follows the
+//   polls
+// - Open sessions are read back after a Dawn restart; characters gone
+//   by the first poll are closed at their last poll ('unknown'),
+//   a stopped world closes all of its sessions ('world_down')
+// - Account ids come from the poll (account_id) or, if the world
+//   server does not send them, the world DB characters table
+// - playtime() / peaks() / character() read a time range back for
+//   the sessions pages; sessions are clipped to the range
+// - Rows older than retention_days are pruned hourly
+// Settings: config.player_sessions (optional), see DEFAULTS.
+// -------------------------------------------------------------
+
+const { query } = require('./dawnDb');
+
+const DEFAULTS = {
+  enabled: true,
+  retention_days: 180
+};
+
+const PRUNE_MS = 60 * 60 * 1000;
+// Rows in the playtime tables
+const TOP_LIMIT = 100;
+
+const logI = (...a) => console.log('[player-sessions]', ...a);
+const logW = (...a) => console.warn('[player-sessions:warn]', ...a);
+
+// is_linkdead arrives as a bool, 0/1 or a string depending on the server build
+const flag = (v) => v === true || v === 1 || v === '1' || v === 'true';
+
+/** /clients response -> Map(character_id -> { id, name, zone, linkdead, accountId }) */
+function snapshotOf(response) {
+  const out = new Map();
+  const list = response && Array.isArray(response.Clients) ? response.Clients : [];
+  for (const c of list) {
+    const id = Number(c.character_id);
+    if (!Number.isInteger(id) || id <= 0) continue;
+    out.set(id, {
+      id,
+      name: String(c.character_name || '').slice(0, 64),
+      zone: c.zonename ? String(c.zonename).slice(0, 128) : null,
+      linkdead: flag(c.is_linkdead),
+      accountId: c.account_id != null && c.account_id !== '' ? Number(c.account_id) : null
+    });
+  }
+  return out;
+}
+
+// Local calendar day of a Date, for daily peaks
+function dayOf(d) {
+  const p = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${p(d.getMonth() + 1)}-${p(d.getDate())}`;
+}
+
+/**
+ * @param {object} db      Dawn DB connection
+ * @param {object} options config.player_sessions
+ */
+function createPlayerSessions({ db, options = {} }) {
+  const opts = { ...DEFAULTS, ...options };
+  const retentionDays = Math.max(1, Number(opts.retention_days) || DEFAULTS.retention_days);
+  // world id -> Map(character_id -> { sessionId, name, zone, linkdead, lastSeen, restored })
+  const online = new Map();
+  const restoring = new Map(); // world id -> promise
+
+  // Sessions left open by the previous Dawn run
+  function restore(worldId) {
+    if (!restoring.has(worldId)) {
+      restoring.set(worldId, (async () => {
+        const rows = await query(db,
+          `SELECT id, character_id, character_name, zone, last_seen_at FROM player_sessions
+           WHERE world = ? AND logout_at IS NULL`, [worldId]);
+        const map = new Map();
+        for (const r of rows) {
+          map.set(r.character_id, { sessionId: r.id, name: r.character_name, zone: r.zone, linkdead: false, lastSeen: r.last_seen_at, restored: true });
+        }
+        online.set(worldId, map);
+        if (rows.length) logI(`${worldId}: ${rows.length} open sessions from before the restart`);
+      })().catch(e => {
+        restoring.delete(worldId);
+        throw e;
+      }));
+    }
+    return restoring.get(worldId);
+  }
+
+  async function accountIds(world, chars) {
+    const missing = chars.filter(c => c.accountId == null).map(c => c.id);
+    if (!missing.length || !world.db) return;
+    try {
+      const rows = await query(world.db, 'SELECT id, account_id FROM characters WHERE id IN (?)', [missing]);
+      const byId = new Map(rows.map(r => [r.id, r.account_id]));
+      for (const c of chars) if (c.accountId == null && byId.has(c.id)) c.accountId = byId.get(c.id);
+    } catch (e) {
+      logW(`${world.id}: could not read account ids from the world DB:`, e.message);
+    }
+  }
+
+  function closeSession(entry, at, reason) {
+    return query(db,
+      'UPDATE player_sessions SET logout_at = ?, last_seen_at = ?, end_reason = ? WHERE id = ?',
+      [at, at, reason, entry.sessionId]);
+  }
+
+  /**
+   * Diff one /clients poll of `world` against the previous one and store the changes.
+   * @param {object} world    from worlds.js (id, db)
+   * @param {object} response the polled /clients body
+   */
+  async function observe(world, response) {
+    if (!opts.enabled) return;
+    await restore(world.id);
+    const prev = online.get(world.id);
+    const now = new Date();
+    const current = snapshotOf(response);
+    const events = [];
+    const event = (c, type, zone, detail) => events.push([now, world.id, c.id, c.name, type, zone, detail || null]);
+
+    for (const [id, entry] of prev) {
+      if (current.has(id)) continue;
+      // Gone since the last poll; after a restart we only know when it was last seen
+      const at = entry.restored ? entry.lastSeen : now;
+      await closeSession(entry, at, entry.restored ? 'unknown' : 'logout');
+      events.push([at, world.id, id, entry.name, 'logout', entry.zone, entry.restored ? 'not online after a Dawn restart' : null]);
+      prev.delete(id);
+    }
+
+    const logins = [...current.values()].filter(c => !prev.has(c.id));
+    await accountIds(world, logins);
+    for (const c of logins) {
+      const result = await query(db,
+        `INSERT INTO player_sessions (world, character_id, character_name, account_id, zone, login_at, last_seen_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [world.id, c.id, c.name, c.accountId, c.zone, now, now]);
+      prev.set(c.id, { sessionId: result.insertId, name: c.name, zone: c.zone, linkdead: c.linkdead, lastSeen: now, restored: false });
+      event(c, 'login', c.zone);
+      if (c.linkdead) event(c, 'linkdead', c.zone);
+    }
+
+    for (const c of current.values()) {
+      const entry = prev.get(c.id);
+      if (entry.lastSeen === now) continue; // logged in this poll
+      if (c.zone && c.zone !== entry.zone) {
+        event(c, 'zone', c.zone, entry.zone);
+        entry.zone = c.zone;
+        await query(db, 'UPDATE player_sessions SET zone = ? WHERE id = ?', [c.zone, entry.sessionId]);
+      }
+      if (c.linkdead !== entry.linkdead && !entry.restored) event(c, c.linkdead ? 'linkdead' : 'relinked', c.zone);
+      entry.linkdead = c.linkdead;
+      entry.name = c.name;
+      entry.restored = false;
+      entry.lastSeen = now;
+    }
+
+    if (events.length) {
+      await query(db,
+        'INSERT INTO player_events (at, world, character_id, character_name, event, zone, detail) VALUES ?',
+        [events]);
+    }
+    if (prev.size) {
+      await query(db, 'UPDATE player_sessions SET last_seen_at = ? WHERE world = ? AND logout_at IS NULL', [now, world.id]);
+    }
+  }
+
+  /** The world process stopped: everyone on it is logged out as of the last poll */
+  async function worldDown(world) {
+    if (!opts.enabled) return;
+    await restore(world.id);
+    const prev = online.get(world.id);
+    if (!prev.size) return;
+    const events = [];
+    for (const [id, entry] of prev) {
+      await closeSession(entry, entry.lastSeen, 'world_down');
+      events.push([entry.lastSeen, world.id, id, entry.name, 'logout', entry.zone, 'world server stopped']);
+    }
+    prev.clear();
+    await query(db,
+      'INSERT INTO player_events (at, world, character_id, character_name, event, zone, detail) VALUES ?',
+      [events]);
+    logI(`${world.id}: closed ${events.length} sessions, world server stopped`);
+  }
+
+  async function prune() {
+    const cutoff = new Date(Date.now() - retentionDays * 86400000);
+    const a = await query(db, 'DELETE FROM player_sessions WHERE logout_at < ?', [cutoff]);
+    const b = await query(db, 'DELETE FROM player_events WHERE at < ?', [cutoff]);
+    const removed = (a.affectedRows || 0) + (b.affectedRows || 0);
+    if (removed) logI(`Pruned ${removed} rows older than ${retentionDays} days`);
+  }
+
+  function start() {
+    if (!opts.enabled) {
+      logI('Disabled (config.player_sessions.enabled)');
+      return;
+    }
+    setInterval(() => prune().catch(e => logW('Could not prune player sessions:', e.message)), PRUNE_MS).unref();
+    prune().catch(e => logW('Could not prune player sessions:', e.message));
+  }
+
+  // Seconds of a session inside [from, to]
+  const clippedSeconds = `GREATEST(0, TIMESTAMPDIFF(SECOND, GREATEST(login_at, ?), LEAST(COALESCE(logout_at, last_seen_at), ?)))`;
+  const overlaps = `world = ? AND login_at < ? AND COALESCE(logout_at, last_seen_at) > ?`;
+
+  /**
+   * Playtime per character and per account of one world inside the range.
+   * -> { characters: [{ character_id, character_name, account_id, sessions, seconds, last_seen_at, online }],
+   *      accounts: [{ account_id, characters, sessions, seconds }] }
+   */
+  async function playtime(world, from, to) {
+    const args = [from, to, world, to, from];
+    const [characters, accounts] = await Promise.all([
+      query(db,
+        `SELECT character_id, MAX(character_name) AS character_name, MAX(account_id) AS account_id, COUNT(*) AS sessions,
+                SUM(${clippedSeconds}) AS seconds, MAX(COALESCE(logout_at, last_seen_at)) AS last_seen_at,
+                MAX(logout_at IS NULL) AS online
+         FROM player_sessions WHERE ${overlaps}
+         GROUP BY character_id ORDER BY seconds DESC LIMIT ?`,
+        [...args, TOP_LIMIT]),
+      query(db,
+        `SELECT account_id, COUNT(DISTINCT character_id) AS characters, COUNT(*) AS sessions, SUM(${clippedSeconds}) AS seconds
+         FROM player_sessions WHERE ${overlaps} AND account_id IS NOT NULL
+         GROUP BY account_id ORDER BY seconds DESC LIMIT ?`,
+        [...args, TOP_LIMIT])
+    ]);
+    return {
+      characters: characters.map(r => ({ ...r, sessions: Number(r.sessions), seconds: Number(r.seconds), online: !!Number(r.online) })),
+      accounts: accounts.map(r => ({ ...r, characters: Number(r.characters), sessions: Number(r.sessions), seconds: Number(r.seconds) }))
+    };
+  }
+
+  /**
+   * Most characters online at once, per day of the range (from the session intervals).
+   * -> [{ day: 'YYYY-MM-DD', peak, at }]
+   */
+  async function peaks(world, from, to) {
+    const rows = await query(db,
+      `SELECT GREATEST(login_at, ?) AS s, LEAST(COALESCE(logout_at, last_seen_at), ?) AS e
+       FROM player_sessions WHERE ${overlaps}`,
+      [from, to, world, to, from]);
+    const edges = [];
+    for (const r of rows) {
+      edges.push([new Date(r.s).getTime(), 1]);
+      edges.push([new Date(r.e).getTime(), -1]);
+    }
+    // Logouts before logins at the same instant
+    edges.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+    const days = new Map();
+    let count = 0;
+    for (const [t, d] of edges) {
+      count += d;
+      const day = dayOf(new Date(t));
+      const cur = days.get(day);
+      if (!cur) days.set(day, { day, peak: Math.max(0, count), at: new Date(t) });
+      else if (count > cur.peak) Object.assign(cur, { peak: count, at: new Date(t) });
+    }
+    return [...days.values()];
+  }
+
+  /**
+   * Sessions and events of one character inside the range, newest first.
+   * -> { character_id, character_name, account_id, seconds, sessions: [...], events: [...] }
+   */
+  async function character(world, characterId, from, to) {
+    const [sessions, events] = await Promise.all([
+      query(db,
+        `SELECT id, character_name, account_id, zone, login_at, logout_at, last_seen_at, end_reason, ${clippedSeconds} AS seconds
+         FROM player_sessions WHERE character_id = ? AND ${overlaps}
+         ORDER BY login_at DESC`,
+        [from, to, characterId, world, to, from]),
+      query(db,
+        `SELECT at, event, zone, detail FROM player_events
+         WHERE world = ? AND character_id = ? AND at BETWEEN ? AND ?
+         ORDER BY at DESC, id DESC`,
+        [world, characterId, from, to])
+    ]);
+    const latest = sessions[0] || null;
+    return {
+      character_id: characterId,
+      character_name: latest ? latest.character_name : null,
+      account_id: latest ? latest.account_id : null,
+      seconds: sessions.reduce((n, s) => n + Number(s.seconds), 0),
+      sessions: sessions.map(s => ({ ...s, seconds: Number(s.seconds), online: s.logout_at == null })),
+      events
+    };
+  }
+
+  return {
+    start,
+    observe,
+    worldDown,
+    playtime,
+    peaks,
+    character,
+    retentionDays,
+    enabled: !!opts.enabled
+  };
+}
+
+module.exports = {
+  createPlayerSessions
+};
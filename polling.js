@@ -1,57 +1,224 @@
+// polling.js
+// -------------------------------------------------------------
+// Client for the EQ2Emu login / world admin HTTP APIs.
+// - AdminApiClient: one per server (address + admin credentials)
+// - TLS is verified against config.http.server_ca (the servers'
+//   certificates are issued by that CA); the agent is built once per
+//   CA file and rebuilt only when the file changes; the hostname is
+//   only checked with admin_api.verify_hostname
+// - Every request has a timeout; GETs are retried a few times on
+//   timeouts and connection failures, POSTs only when the connection
+//   was refused (the request never reached the server)
+// - Failures throw AdminApiError subclasses with a `code` (auth, tls,
+//   timeout, refused, unreachable, bad_response) and an HTTP `status`
+//   for Dawn's own responses
+// Settings: config.admin_api (optional), see DEFAULTS.
+// -------------------------------------------------------------
+
 const axios = require('axios');
 const https = require('https');
 const fs = require('fs');
 
-var httpsAgent = null;
-var currentCert = "";
-const fetchStatus = async (url, sslFiles, username, password) => {
-	if(httpsAgent == null || currentCert != sslFiles.cert) {		
-		httpsAgent = new https.Agent({
-		  cert: fs.readFileSync(sslFiles.cert)
-		})
-	}
-  try {
-    const response = await axios.get(url, {
-      httpsAgent,
-      auth: {
-        username: username,
-        password: password
-      },
-      withCredentials: true
-    });
-
-    // Assuming the JSON response contains a 'status' field
-    const status = response.data;
-    return status;
-  } catch (error) {
-    return null;
-  }
+const DEFAULTS = {
+  timeout_ms: 4000,
+  retries: 2,
+  retry_delay_ms: 250,
+  // The servers are usually addressed by IP (127.0.0.1) and their self-signed
+  // certificates rarely list it, so only the CA is checked by default; set true
+  // when the certificates carry the address (subjectAltName)
+  verify_hostname: false
 };
 
-const postStatus = async (url, data, sslFiles, username, password) => {
-	if(httpsAgent == null || currentCert != sslFiles.cert) {		
-		httpsAgent = new https.Agent({
-		  cert: fs.readFileSync(sslFiles.cert)
-		})
-	}
-  try {
-    const response = await axios.post(url, data, {
-      httpsAgent,
-      auth: {
-        username: username,
-        password: password
-      },
-      withCredentials: true
-    });
-
-    // Assuming the JSON response contains a 'status' field
-    const status = response.data;
-    return status;
-  } catch (error) {
-    return null;
+// Node / OpenSSL error codes of a failed certificate check or handshake
+const TLS_CODES = new Set([
+  'DEPTH_ZERO_SELF_SIGNED_CERT', 'SELF_SIGNED_CERT_IN_CHAIN', 'UNABLE_TO_VERIFY_LEAF_SIGNATURE',
+  'UNABLE_TO_GET_ISSUER_CERT', 'UNABLE_TO_GET_ISSUER_CERT_LOCALLY', 'CERT_HAS_EXPIRED', 'CERT_NOT_YET_VALID',
+  'CERT_SIGNATURE_FAILURE', 'CERT_REVOKED', 'ERR_TLS_CERT_ALTNAME_INVALID', 'EPROTO',
+  'ERR_SSL_WRONG_VERSION_NUMBER', 'ERR_TLS_HANDSHAKE_TIMEOUT'
+]);
+const TIMEOUT_CODES = new Set(['ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT']);
+const UNREACHABLE_CODES = new Set(['ECONNRESET', 'EHOSTUNREACH', 'ENETUNREACH', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE']);
+
+class AdminApiError extends Error {
+  /**
+   * @param {string} message
+   * @param {object} p { code, server, status (HTTP status for Dawn's reply), upstreamStatus, cause }
+   */
+  constructor(message, { code = 'error', server, status = 502, upstreamStatus, cause } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.server = server;
+    this.status = status;
+    this.upstreamStatus = upstreamStatus;
+    if (cause) this.cause = cause;
   }
-};
+
+  /** { code, message } for status payloads */
+  toJSON() {
+    return { code: this.code, message: this.message };
+  }
+}
+
+class AuthError extends AdminApiError {
+  constructor(message, p = {}) { super(message, { ...p, code: 'auth' }); }
+}
+class TlsError extends AdminApiError {
+  constructor(message, p = {}) { super(message, { ...p, code: 'tls' }); }
+}
+class TimeoutError extends AdminApiError {
+  constructor(message, p = {}) { super(message, { ...p, code: 'timeout', status: 504 }); }
+}
+class ConnectionRefusedError extends AdminApiError {
+  constructor(message, p = {}) { super(message, { ...p, code: 'refused', status: 503 }); }
+}
+class UnreachableError extends AdminApiError {
+  constructor(message, p = {}) { super(message, { ...p, code: 'unreachable', status: 503 }); }
+}
+class BadResponseError extends AdminApiError {
+  constructor(message, p = {}) { super(message, { ...p, code: 'bad_response' }); }
+}
+
+// CA file -> { mtimeMs, agent }; one agent per CA file / hostname setting
+const agents = new Map();
+
+function agentFor(caFile, verifyHostname, server) {
+  const key = `${caFile || ''}|${verifyHostname ? 1 : 0}`;
+  let mtimeMs = 0;
+  if (caFile) {
+    try {
+      mtimeMs = fs.statSync(caFile).mtimeMs;
+    } catch (e) {
+      throw new TlsError(`CA file ${caFile} is not readable: ${e.message}`, { server });
+    }
+  }
+  const cached = agents.get(key);
+  if (cached && cached.mtimeMs === mtimeMs) return cached.agent;
+
+  const agent = new https.Agent({
+    keepAlive: true,
+    rejectUnauthorized: true,
+    ...(caFile ? { ca: fs.readFileSync(caFile) } : {}),
+    ...(verifyHostname ? {} : { checkServerIdentity: () => undefined })
+  });
+  if (cached) cached.agent.destroy();
+  agents.set(key, { mtimeMs, agent });
+  return agent;
+}
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+class AdminApiClient {
+  /**
+   * @param {object} p { name, address, username, password, ca (CA file), options (config.admin_api) }
+   */
+  constructor({ name, address, username, password, ca, options = {} }) {
+    this.name = name;
+    this.address = String(address || '').replace(/\/+$/, '');
+    this.username = username;
+    this.password = password;
+    this.ca = ca || null;
+    this.opts = { ...DEFAULTS, ...options };
+  }
+
+  /** GET `path`; resolves with the parsed JSON body */
+  get(path, { timeoutMs, retries } = {}) {
+    return this.request('get', path, undefined, { timeoutMs, retries: retries ?? this.opts.retries, retryOn: isTransient });
+  }
+
+  /** POST `body` (JSON) to `path`; retried only when the connection was refused */
+  post(path, body, { timeoutMs, retries } = {}) {
+    return this.request('post', path, body ?? {}, { timeoutMs, retries: retries ?? this.opts.retries, retryOn: (e) => e instanceof ConnectionRefusedError });
+  }
+
+  async request(method, path, data, { timeoutMs, retries, retryOn }) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.once(method, path, data, timeoutMs || this.opts.timeout_ms);
+      } catch (e) {
+        if (attempt >= retries || !retryOn(e)) throw e;
+        await sleep(this.opts.retry_delay_ms * 2 ** attempt);
+      }
+    }
+  }
+
+  async once(method, path, data, timeoutMs) {
+    const url = this.address + path;
+    let response;
+    try {
+      response = await axios.request({
+        method,
+        url,
+        data,
+        headers: data === undefined ? {} : { 'Content-Type': 'application/json' },
+        httpsAgent: agentFor(this.ca, this.opts.verify_hostname, this.name),
+        auth: { username: this.username, password: this.password },
+        timeout: timeoutMs,
+        // Status codes are classified below, not thrown by axios
+        validateStatus: () => true,
+        // Parse ourselves: a non-JSON body is a bad response, not a string
+        transformResponse: (raw) => raw,
+        responseType: 'text'
+      });
+    } catch (e) {
+      throw this.classify(e, path, timeoutMs);
+    }
+
+    const where = `${this.name} ${path}`;
+    if (response.status === 401 || response.status === 403) {
+      throw new AuthError(`${where}: admin login rejected (HTTP ${response.status}); check the admin user and password`, { server: this.name, upstreamStatus: response.status });
+    }
+    if (response.status < 200 || response.status >= 300) {
+      throw new BadResponseError(`${where}: HTTP ${response.status}`, { server: this.name, upstreamStatus: response.status });
+    }
+    const body = response.data;
+    if (body == null || body === '') return method === 'get' ? badJson(where, this.name, 'empty body') : {};
+    try {
+      return JSON.parse(body);
+    } catch (e) {
+      if (method === 'post') return { response: String(body) };
+      return badJson(where, this.name, e.message);
+    }
+  }
+
+  // axios / socket error -> AdminApiError subclass
+  classify(e, path, timeoutMs) {
+    if (e instanceof AdminApiError) return e;
+    const where = `${this.name} ${path}`;
+    const code = e.code || (e.cause && e.cause.code) || '';
+    const p = { server: this.name, cause: e };
+    if (TIMEOUT_CODES.has(code) || /timeout/i.test(e.message)) return new TimeoutError(`${where}: no answer within ${timeoutMs} ms`, p);
+    if (code === 'ECONNREFUSED') return new ConnectionRefusedError(`${where}: connection refused (server not listening)`, p);
+    if (TLS_CODES.has(code) || /certificate|ssl|tls/i.test(e.message)) return new TlsError(`${where}: TLS error: ${e.message}`, p);
+    if (UNREACHABLE_CODES.has(code)) return new UnreachableError(`${where}: ${code} ${e.message}`.trim(), p);
+    return new AdminApiError(`${where}: ${e.message}`, p);
+  }
+}
+
+function isTransient(e) {
+  return e instanceof TimeoutError || e instanceof ConnectionRefusedError || e instanceof UnreachableError;
+}
+
+function badJson(where, server, detail) {
+  throw new BadResponseError(`${where}: response is not JSON (${detail})`, { server });
+}
+
+/** AdminApiClient settings from the Dawn config (CA + config.admin_api) */
+function clientOptions(config) {
+  return {
+    ca: (config.http && config.http.server_ca) || null,
+    options: config.admin_api || {}
+  };
+}
 
 module.exports = {
-	fetchStatus,
-	postStatus };
\ No newline at end of file
+  AdminApiClient,
+  AdminApiError,
+  AuthError,
+  TlsError,
+  TimeoutError,
+  ConnectionRefusedError,
+  UnreachableError,
+  BadResponseError,
+  clientOptions
+};
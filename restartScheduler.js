@@ -0,0 +1,361 @@
+// restartScheduler.js
+// -------------------------------------------------------------
+// Scheduled world / login restarts (restart_schedules table).
+// - One-off (run_at) or recurring (cron, see cron.js) schedules
+// - In-game countdown warnings before the restart, sent through the
+//   world admin API (broadcast function supplied by app.js)
+// - Restart order: stop world, stop login, start login, start world
+//   ("world" covers every world server, see worlds.js)
+// - Skipping an upcoming run aborts a countdown in progress
+// Settings: config.scheduled_restarts (optional), see DEFAULTS.
+// -------------------------------------------------------------
+
+const { query } = require('./dawnDb');
+const { parseCron, nextRun } = require('./cron');
+
+const DEFAULTS = {
+  warn_minutes: [15, 10, 5, 1],
+  message: 'The server will restart in {time}. Please find a safe place to log out.',
+  cancel_message: 'The scheduled server restart has been cancelled.'
+};
+
+// Process names per target; 'eq2world' stands for the world processes passed in
+const TARGETS = {
+  world: ['eq2world'],
+  login: ['login'],
+  both: ['eq2world', 'login']
+};
+
+const TICK_MS = 15 * 1000;
+// Give the login server a moment before the world reconnects to it
+const START_GAP_MS = 5000;
+// A one-off run missed by more than this (Dawn was down) is not run late
+const MISSED_GRACE_MS = 5 * 60 * 1000;
+
+const logI = (...a) => console.log('[scheduler]', ...a);
+const logW = (...a) => console.warn('[scheduler:warn]', ...a);
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+function formatRemaining(ms) {
+  const minutes = Math.round(ms / 60000);
+  if (minutes >= 1) return minutes === 1 ? '1 minute' : `${minutes} minutes`;
+  const seconds = Math.max(1, Math.round(ms / 1000));
+  return seconds === 1 ? '1 second' : `${seconds} seconds`;
+}
+
+/** "15,10,5,1" | [15,10,5,1] -> [15,10,5,1] (minutes, descending) */
+function parseWarnMinutes(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  const minutes = list.map(v => Number(String(v).trim())).filter(n => Number.isFinite(n) && n > 0 && n <= 24 * 60);
+  return [...new Set(minutes)].sort((a, b) => b - a);
+}
+
+const invalid = (message) => Object.assign(new Error(message), { status: 400 });
+
+/**
+ * Validate and normalise a create/update payload; throws (status 400) with a readable message.
+ */
+function normalizeSchedule(body, defaults) {
+  const name = String(body.name || '').trim().slice(0, 100);
+  if (!name) throw invalid('Name is required');
+
+  const target = String(body.target || 'world');
+  if (!TARGETS[target]) throw invalid(`Unknown target: ${target}`);
+
+  const cron = String(body.cron || '').trim() || null;
+  let runAt = null;
+  if (cron) {
+    try {
+      parseCron(cron);
+    } catch (e) {
+      throw invalid(e.message);
+    }
+  } else {
+    runAt = body.run_at ? new Date(body.run_at) : null;
+    if (!runAt || isNaN(runAt.getTime())) throw invalid('Either a cron expression or a run time is required');
+    if (runAt.getTime() <= Date.now()) throw invalid('The run time is in the past');
+  }
+
+  const warn = parseWarnMinutes(body.warn_minutes == null || body.warn_minutes === '' ? defaults.warn_minutes : body.warn_minutes);
+  const message = String(body.message || '').trim().slice(0, 255) || null;
+  const enabled = body.enabled == null ? true : ['1', 'true', 'on', 'yes'].includes(String(body.enabled).toLowerCase());
+
+  return { name, target, cron, runAt, warnMinutes: warn.join(','), message, enabled };
+}
+
+/**
+ * @param {object}   db          Dawn DB connection
+ * @param {object}   supervisor  from createSupervisor()
+ * @param {object}   autoRestart from createAutoRestart(); starts clear its held state
+ * @param {function} broadcast   async (message) => send an in-game announcement
+ * @param {function} ready       () => bool, false while binaries/content are being replaced
+ * @param {object}   audit       from createAuditLog()
+ * @param {string[]} worldProcesses supervisor names of the world servers (worlds.js)
+ * @param {object}   options     config.scheduled_restarts
+ */
+function createRestartScheduler({ db, supervisor, autoRestart, broadcast, ready, audit, worldProcesses = ['eq2world'], options = {} }) {
+  const opts = { ...DEFAULTS, ...options };
+  const processesFor = (target) => TARGETS[target].flatMap(n => (n === 'eq2world' ? worldProcesses : [n]));
+  const schedules = new Map(); // id -> row (with next_run_at as Date)
+  const countdowns = new Map(); // id -> { at, timers, phase }
+
+  function computeNext(row, after = new Date()) {
+    if (!row.enabled) return null;
+    if (row.cron) return nextRun(row.cron, after);
+    const at = row.run_at ? new Date(row.run_at) : null;
+    return at && at.getTime() > after.getTime() - MISSED_GRACE_MS ? at : null;
+  }
+
+  async function saveState(row) {
+    await query(db,
+      'UPDATE restart_schedules SET enabled = ?, next_run_at = ?, last_run_at = ?, last_result = ? WHERE id = ?',
+      [row.enabled ? 1 : 0, row.next_run_at, row.last_run_at, row.last_result, row.id]);
+  }
+
+  async function load() {
+    const rows = await query(db, 'SELECT * FROM restart_schedules');
+    schedules.clear();
+    for (const row of rows) {
+      row.enabled = !!row.enabled;
+      const next = computeNext(row);
+      if (row.enabled && !next) {
+        // One-off whose time passed while Dawn was down
+        row.enabled = false;
+        row.last_result = 'missed (Dawn was not running)';
+        logW(`Schedule "${row.name}" was missed`);
+      }
+      row.next_run_at = next;
+      schedules.set(row.id, row);
+      saveState(row).catch(e => logW('Could not save schedule state:', e.message));
+    }
+  }
+
+  // ---- countdown + restart ----
+  function say(row, text) {
+    return Promise.resolve()
+      .then(() => broadcast(text))
+      .catch(e => logW(`Broadcast failed for "${row.name}":`, e.message));
+  }
+
+  function announce(row, job, remainingMs) {
+    job.warned = true;
+    return say(row, (row.message || opts.message).replace(/\{time\}/g, formatRemaining(remainingMs)));
+  }
+
+  function beginCountdown(row) {
+    const at = row.next_run_at.getTime();
+    const job = { at, timers: [], phase: 'countdown', warned: false };
+    countdowns.set(row.id, job);
+    logI(`Countdown started for "${row.name}" (restart at ${row.next_run_at.toISOString()})`);
+
+    const now = Date.now();
+    const warnings = parseWarnMinutes(row.warn_minutes).map(m => at - m * 60000);
+    const due = warnings.filter(t => t > now);
+    // Started late (new schedule, Dawn restart): tell players the real remaining time now
+    if (due.length < warnings.length && at - now > 5000) announce(row, job, at - now);
+    for (const t of due) {
+      job.timers.push(setTimeout(() => announce(row, job, at - t), t - now));
+    }
+    job.timers.push(setTimeout(() => runRestart(row, job), Math.max(0, at - now)));
+  }
+
+  function abortCountdown(id, reason) {
+    const job = countdowns.get(id);
+    if (!job || job.phase !== 'countdown') return false;
+    job.timers.forEach(clearTimeout);
+    countdowns.delete(id);
+    const row = schedules.get(id);
+    if (row) logI(`Countdown for "${row.name}" aborted (${reason})`);
+    // Players were told about it, so tell them it's off
+    if (row && job.warned) say(row, opts.cancel_message);
+    return true;
+  }
+
+  async function restartServers(target) {
+    const names = processesFor(target);
+    for (const name of names) {
+      await supervisor.get(name).stop();
+    }
+    if (!ready()) throw new Error('Server files are being updated; servers left stopped');
+    // Start in reverse order: login before world
+    const order = [...names].reverse();
+    for (let i = 0; i < order.length; i++) {
+      if (i > 0) await sleep(START_GAP_MS);
+      await autoRestart.start(order[i]);
+    }
+  }
+
+  async function runRestart(row, job) {
+    job.phase = 'restarting';
+    logI(`Running scheduled restart "${row.name}" (${row.target})`);
+    let result = 'ok';
+    try {
+      await restartServers(row.target);
+    } catch (e) {
+      result = `failed: ${e.message}`;
+      logW(`Scheduled restart "${row.name}" failed:`, e.message);
+    }
+    countdowns.delete(row.id);
+
+    audit.record({
+      username: 'scheduler',
+      via: 'scheduler',
+      action: 'schedule.run',
+      target: row.name,
+      params: { id: row.id, target: row.target },
+      outcome: result === 'ok' ? 'success' : 'failure',
+      detail: result === 'ok' ? null : result
+    });
+
+    row.last_run_at = new Date();
+    row.last_result = result.slice(0, 255);
+    if (!row.cron) row.enabled = false;
+    row.next_run_at = computeNext(row);
+    await saveState(row).catch(e => logW('Could not save schedule state:', e.message));
+  }
+
+  function tick() {
+    const now = Date.now();
+    for (const row of schedules.values()) {
+      if (!row.enabled || !row.next_run_at || countdowns.has(row.id)) continue;
+      const lead = Math.max(0, ...parseWarnMinutes(row.warn_minutes)) * 60000;
+      if (now >= row.next_run_at.getTime() - lead) beginCountdown(row);
+    }
+  }
+
+  // ---- CRUD for the dashboard ----
+  function view(row) {
+    const job = countdowns.get(row.id);
+    return {
+      id: row.id,
+      name: row.name,
+      target: row.target,
+      cron: row.cron,
+      run_at: row.run_at,
+      warn_minutes: row.warn_minutes,
+      message: row.message,
+      enabled: !!row.enabled,
+      next_run_at: row.next_run_at,
+      last_run_at: row.last_run_at,
+      last_result: row.last_result,
+      created_by: row.created_by,
+      phase: job ? job.phase : null
+    };
+  }
+
+  function list() {
+    return [...schedules.values()]
+      .map(view)
+      .sort((a, b) => (a.next_run_at ? a.next_run_at.getTime() : Infinity) - (b.next_run_at ? b.next_run_at.getTime() : Infinity));
+  }
+
+  function getRow(id) {
+    const row = schedules.get(Number(id));
+    if (!row) throw Object.assign(new Error('Unknown schedule'), { status: 404 });
+    return row;
+  }
+
+  function ensureIdle(row) {
+    const job = countdowns.get(row.id);
+    if (job && job.phase === 'restarting') {
+      throw Object.assign(new Error('This restart is in progress'), { status: 409 });
+    }
+  }
+
+  async function create(body, username) {
+    const s = normalizeSchedule(body, opts);
+    const result = await query(db,
+      `INSERT INTO restart_schedules (name, target, cron, run_at, warn_minutes, message, enabled, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [s.name, s.target, s.cron, s.runAt, s.warnMinutes, s.message, s.enabled ? 1 : 0, username]);
+    const row = {
+      id: result.insertId, name: s.name, target: s.target, cron: s.cron, run_at: s.runAt,
+      warn_minutes: s.warnMinutes, message: s.message, enabled: s.enabled,
+      last_run_at: null, last_result: null, created_by: username
+    };
+    row.next_run_at = computeNext(row);
+    schedules.set(row.id, row);
+    await saveState(row);
+    tick();
+    return view(row);
+  }
+
+  async function update(id, body) {
+    const row = getRow(id);
+    ensureIdle(row);
+    // A body without `enabled` keeps the stored state (create defaults to enabled)
+    const s = normalizeSchedule({ enabled: row.enabled, ...body }, opts);
+    abortCountdown(row.id, 'schedule changed');
+    await query(db,
+      'UPDATE restart_schedules SET name = ?, target = ?, cron = ?, run_at = ?, warn_minutes = ?, message = ? WHERE id = ?',
+      [s.name, s.target, s.cron, s.runAt, s.warnMinutes, s.message, row.id]);
+    Object.assign(row, { name: s.name, target: s.target, cron: s.cron, run_at: s.runAt, warn_minutes: s.warnMinutes, message: s.message, enabled: s.enabled });
+    row.next_run_at = computeNext(row);
+    await saveState(row);
+    tick();
+    return view(row);
+  }
+
+  /** Cancel the upcoming run; a recurring schedule continues with the one after */
+  async function skip(id) {
+    const row = getRow(id);
+    ensureIdle(row);
+    const aborted = abortCountdown(row.id, 'cancelled');
+    if (!row.next_run_at) return view(row);
+    if (row.cron) {
+      row.next_run_at = nextRun(row.cron, row.next_run_at);
+    } else {
+      row.enabled = false;
+      row.next_run_at = null;
+    }
+    row.last_result = aborted ? 'cancelled during countdown' : 'run skipped';
+    await saveState(row);
+    return view(row);
+  }
+
+  async function setEnabled(id, enabled) {
+    const row = getRow(id);
+    ensureIdle(row);
+    if (!enabled) abortCountdown(row.id, 'disabled');
+    row.enabled = !!enabled;
+    row.next_run_at = computeNext(row);
+    if (row.enabled && !row.next_run_at) {
+      row.enabled = false;
+      throw invalid('This one-off restart time has passed; edit it to set a new time');
+    }
+    await saveState(row);
+    tick();
+    return view(row);
+  }
+
+  async function remove(id) {
+    const row = getRow(id);
+    ensureIdle(row);
+    abortCountdown(row.id, 'deleted');
+    await query(db, 'DELETE FROM restart_schedules WHERE id = ?', [row.id]);
+    schedules.delete(row.id);
+  }
+
+  /** Earliest upcoming run, for the dashboard header */
+  function next() {
+    const upcoming = list().find(s => s.enabled && s.next_run_at);
+    return upcoming ? { id: upcoming.id, name: upcoming.name, target: upcoming.target, at: upcoming.next_run_at, phase: upcoming.phase } : null;
+  }
+
+  function start() {
+    load()
+      .catch(e => logW('Could not load schedules:', e.message))
+      .finally(() => {
+        tick();
+        setInterval(tick, TICK_MS).unref();
+      });
+  }
+
+  return { start, list, create, update, skip, setEnabled, remove, next, restartServers, targets: Object.keys(TARGETS) };
+}
+
+module.exports = {
+  createRestartScheduler,
+  formatRemaining
+};
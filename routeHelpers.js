@@ -0,0 +1,24 @@
+// routeHelpers.js
+// -------------------------------------------------------------
+// Shared pieces of the JSON routers in routes/.
+// - asyncHandler(tag): wraps async route handlers so every failure
+//   answers with { ok:false, error } and the error's status (500
+//   when it has none; those are logged under [tag])
+// SSE job streams: see jobs.js streamJob().
+// -------------------------------------------------------------
+
+/** tag: log prefix, e.g. 'builds:router' -> (fn) => express handler */
+function asyncHandler(tag) {
+  return (fn) => async (req, res) => {
+    try {
+      await fn(req, res);
+    } catch (e) {
+      if (!e.status) console.error(`[${tag}] error:`, e);
+      res.status(e.status || 500).json({ ok: false, error: e.message });
+    }
+  };
+}
+
+module.exports = {
+  asyncHandler
+};
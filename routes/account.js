@@ -0,0 +1,186 @@
+// routes/account.js
+// Self-service account settings for the logged-in Dawn user
+// - Change own password (requires the current password)
+// - TOTP two-factor enrollment, recovery codes and removal
+// - Personal API tokens (create with optional scopes/expiry, revoke)
+
+const express = require('express');
+const { asyncHandler } = require('../routeHelpers');
+const { query } = require('../dawnDb');
+const totp = require('../totp');
+
+// -----------------------------
+// router factory
+// -----------------------------
+module.exports = function buildAccountRouter({ db, passwords, apiTokens, permissions, security = {}, audit }) {
+  const router = express.Router();
+  const issuer = security.totp_issuer || 'EQ2EMu Dawn';
+  const requires2fa = (role) => (security.require_2fa_roles || []).includes(role);
+
+  async function currentUser(req) {
+    const rows = await query(db,
+      'SELECT id, role, password, salt, totp_enabled, totp_secret, totp_last_step, totp_recovery FROM users WHERE username = ?',
+      [req.session.username]);
+    return rows[0] || null;
+  }
+
+  const handle = asyncHandler('account:router');
+
+  // Any logged-in user; no extra permission needed
+  router.use((req, res, next) => {
+    if (!req.session.loggedin) return res.redirect('/');
+    // Account settings (including minting tokens) need an interactive login
+    if (req.session.apiToken) {
+      return res.status(403).json({ ok: false, error: 'Not available with an API token' });
+    }
+    next();
+  });
+
+  router.get('/password', (req, res) => {
+    res.render('account_password', { username: req.session.username });
+  });
+
+  router.post('/password', audit.track('account.password'), async (req, res) => {
+    const current = String(req.body.current_password || '');
+    const next = String(req.body.new_password || '');
+    const confirm = String(req.body.confirm_password || '');
+
+    if (!current || !next) {
+      return res.status(400).json({ ok: false, error: 'Current and new password are required' });
+    }
+    if (next !== confirm) {
+      return res.status(400).json({ ok: false, error: 'New passwords do not match' });
+    }
+
+    try {
+      const rows = await query(db, 'SELECT id, password, salt FROM users WHERE username = ?', [req.session.username]);
+      const user = rows[0];
+      if (!user || !(await passwords.verifyPassword(current, user.salt, user.password)).ok) {
+        return res.status(401).json({ ok: false, error: 'Current password is incorrect' });
+      }
+
+      const salt = passwords.generateSalt();
+      await query(db, 'UPDATE users SET password = ?, salt = ? WHERE id = ?', [await passwords.hashPassword(next, salt), salt, user.id]);
+      res.json({ ok: true });
+    } catch (e) {
+      console.error('[account:router] password change error:', e);
+      res.status(500).json({ ok: false, error: e.message });
+    }
+  });
+
+  // ---- two-factor authentication ----
+  router.get('/2fa', handle(async (req, res) => {
+    const user = await currentUser(req);
+    if (!user) return res.redirect('/');
+    let recoveryRemaining = 0;
+    try { recoveryRemaining = JSON.parse(user.totp_recovery || '[]').length; } catch {}
+    res.render('account_2fa', {
+      username: req.session.username,
+      enabled: !!user.totp_enabled,
+      required: requires2fa(user.role),
+      recoveryRemaining
+    });
+  }));
+
+  // Step 1: new secret kept in the session until confirmed with a code
+  router.post('/2fa/setup', handle(async (req, res) => {
+    const user = await currentUser(req);
+    if (user.totp_enabled) {
+      return res.status(409).json({ ok: false, error: 'Two-factor authentication is already enabled' });
+    }
+    const secret = totp.generateSecret();
+    req.session.totp_pending_secret = secret;
+    res.json({ ok: true, secret, uri: totp.otpauthUri({ issuer, account: req.session.username, secret }) });
+  }));
+
+  // Step 2: confirm the authenticator works, then store secret + recovery codes
+  router.post('/2fa/enable', audit.track('account.2fa_enable'), handle(async (req, res) => {
+    const secret = req.session.totp_pending_secret;
+    if (!secret) {
+      return res.status(400).json({ ok: false, error: 'Start the setup first' });
+    }
+    const step = totp.verify(secret, req.body.code);
+    if (step == null) {
+      return res.status(401).json({ ok: false, error: 'Invalid authentication code' });
+    }
+    const user = await currentUser(req);
+    const recovery = totp.generateRecoveryCodes();
+    await query(db,
+      'UPDATE users SET totp_enabled = 1, totp_secret = ?, totp_last_step = ?, totp_recovery = ? WHERE id = ?',
+      [secret, step, JSON.stringify(recovery.hashes), user.id]);
+    delete req.session.totp_pending_secret;
+    req.session.must_enroll_2fa = false;
+    res.json({ ok: true, recoveryCodes: recovery.codes });
+  }));
+
+  router.post('/2fa/recovery', audit.track('account.2fa_recovery'), handle(async (req, res) => {
+    const user = await currentUser(req);
+    if (!user.totp_enabled) {
+      return res.status(400).json({ ok: false, error: 'Two-factor authentication is not enabled' });
+    }
+    const step = totp.verify(user.totp_secret, req.body.code, { lastStep: user.totp_last_step });
+    if (step == null) {
+      return res.status(401).json({ ok: false, error: 'Invalid authentication code' });
+    }
+    const recovery = totp.generateRecoveryCodes();
+    await query(db, 'UPDATE users SET totp_last_step = ?, totp_recovery = ? WHERE id = ?',
+      [step, JSON.stringify(recovery.hashes), user.id]);
+    res.json({ ok: true, recoveryCodes: recovery.codes });
+  }));
+
+  router.post('/2fa/disable', audit.track('account.2fa_disable'), handle(async (req, res) => {
+    const user = await currentUser(req);
+    if (requires2fa(user.role)) {
+      return res.status(409).json({ ok: false, error: `Two-factor authentication is mandatory for the ${user.role} role` });
+    }
+    if (!(await passwords.verifyPassword(String(req.body.password || ''), user.salt, user.password)).ok) {
+      return res.status(401).json({ ok: false, error: 'Password is incorrect' });
+    }
+    await query(db,
+      'UPDATE users SET totp_enabled = 0, totp_secret = NULL, totp_last_step = NULL, totp_recovery = NULL WHERE id = ?',
+      [user.id]);
+    res.json({ ok: true });
+  }));
+
+  // ---- API tokens ----
+  router.get('/tokens', (req, res) => {
+    res.render('api_tokens', { admin: false, permissions: permissions.permissionsFor(req.session.role) });
+  });
+
+  router.get('/tokens/list', handle(async (req, res) => {
+    const user = await currentUser(req);
+    res.json({ ok: true, tokens: await apiTokens.listForUser(user.id) });
+  }));
+
+  router.post('/tokens/create', audit.track('api_tokens.create', { target: req => req.body.name }), handle(async (req, res) => {
+    const name = String(req.body.name || '').trim().slice(0, 100);
+    if (!name) {
+      return res.status(400).json({ ok: false, error: 'Token name is required' });
+    }
+
+    // Scopes: empty = everything the user's role allows
+    const own = permissions.permissionsFor(req.session.role);
+    const requested = Array.isArray(req.body.scopes) ? req.body.scopes.map(String) : [];
+    const invalid = requested.filter(s => !own.includes(s));
+    if (invalid.length) {
+      return res.status(400).json({ ok: false, error: `Scopes not allowed for your role: ${invalid.join(', ')}` });
+    }
+
+    const days = Number(req.body.expires_days) || 0;
+    const expiresAt = days > 0 ? new Date(Date.now() + days * 86400000) : null;
+
+    const user = await currentUser(req);
+    const created = await apiTokens.create(user.id, { name, scopes: requested.length ? requested : null, expiresAt });
+    console.log(`[account:router] ${req.session.username} created API token "${name}"`);
+    res.json({ ok: true, id: created.id, token: created.token });
+  }));
+
+  router.post('/tokens/:id/revoke', audit.track('api_tokens.revoke', { target: req => `token:${req.params.id}` }), handle(async (req, res) => {
+    const user = await currentUser(req);
+    const revoked = await apiTokens.revoke(req.params.id, user.id);
+    if (!revoked) return res.status(404).json({ ok: false, error: 'Unknown token' });
+    res.json({ ok: true });
+  }));
+
+  return router;
+};
@@ -0,0 +1,62 @@
+// routes/audit.js
+// Admin UI + APIs for the audit trail
+// - Filter by user, action (prefix) and date range; a date-only `to`
+//   (2026-10-19) covers that whole day, unparsable dates answer 400
+// - CSV export of the same filter
+
+const express = require('express');
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// ISO date / date-time -> Date; a date-only value is that day's start, or its end with endOfDay
+function parseDate(name, value, endOfDay) {
+  if (value === undefined) return undefined;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw Object.assign(new Error(`Invalid ${name} date: ${value}`), { status: 400 });
+  if (endOfDay && DATE_ONLY.test(value)) date.setTime(date.getTime() + 86400000 - 1);
+  return date;
+}
+
+function filtersFrom(q) {
+  const pick = (v) => (typeof v === 'string' && v.trim()) ? v.trim() : undefined;
+  return {
+    username: pick(q.username),
+    action: pick(q.action),
+    from: parseDate('from', pick(q.from), false),
+    to: parseDate('to', pick(q.to), true)
+  };
+}
+
+module.exports = function buildAuditRouter({ audit }) {
+  const router = express.Router();
+
+  // Render EJS UI
+  router.get('/', async (req, res) => {
+    let actions = [];
+    try { actions = await audit.actions(); } catch (e) { console.error('[audit:router] actions error:', e); }
+    res.render('audit', { actions });
+  });
+
+  router.get('/search', async (req, res) => {
+    try {
+      const { total, rows } = await audit.search({ ...filtersFrom(req.query), limit: req.query.limit, offset: req.query.offset });
+      res.json({ ok: true, total, rows });
+    } catch (e) {
+      res.status(e.status || 500).json({ ok: false, error: e.message });
+    }
+  });
+
+  router.get('/export.csv', async (req, res) => {
+    try {
+      const { rows } = await audit.search({ ...filtersFrom(req.query), limit: 10000 });
+      const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\..*$/, '');
+      res.attachment(`eq2dawn_audit_${stamp}.csv`);
+      res.type('text/csv');
+      res.send(audit.toCsv(rows));
+    } catch (e) {
+      res.status(e.status || 500).send(`Error exporting audit log: ${e.message}`);
+    }
+  });
+
+  return router;
+};
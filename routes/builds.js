@@ -0,0 +1,75 @@
+// routes/builds.js
+// Admin UI + JSON APIs for tracked login/world source builds (see buildJobs.js)
+// - Branch/tag picker, clean or incremental, optional restart
+// - SSE make output per job, build history with stored log tails
+// - Archived binaries (last N per server) with rollback
+
+const express = require('express');
+const { asyncHandler } = require('../routeHelpers');
+const { streamJob } = require('../jobs');
+
+function toBool(v) {
+  if (typeof v === 'boolean') return v;
+  if (typeof v === 'number') return v !== 0;
+  if (typeof v === 'string') return ['1','true','yes','on'].includes(v.toLowerCase());
+  return false;
+}
+
+function logI(...a){ console.log('[builds:router]', ...a); }
+
+// -----------------------------
+// router factory
+// -----------------------------
+module.exports = function buildBuildsRouter({ builds, archive, audit }) {
+  const router = express.Router();
+
+  const handle = asyncHandler('builds:router');
+
+  // Render EJS UI
+  router.get('/', (req, res) => {
+    res.render('builds', { targets: builds.targets });
+  });
+
+  router.get('/refs', handle(async (req, res) => {
+    res.json({ ok: true, ...(await builds.refs()) });
+  }));
+
+  router.get('/list', handle(async (req, res) => {
+    res.json({ ok: true, current: builds.current(), history: await builds.history(req.query.limit) });
+  }));
+
+  router.get('/:id/log', handle(async (req, res) => {
+    const log = await builds.logTail(req.params.id);
+    if (log == null) return res.status(404).json({ ok: false, error: 'Unknown build' });
+    res.json({ ok: true, log });
+  }));
+
+  router.post('/start', audit.track('server.build', { target: req => (req.body && req.body.ref) || '(current branch)' }), handle(async (req, res) => {
+    const body = req.body || {};
+    const job = await builds.start({
+      ref: body.ref,
+      clean: toBool(body.clean),
+      targets: body.targets,
+      restart: toBool(body.restart),
+      username: req.session.username
+    });
+    logI(`${req.session.username} started build ${job.id}`);
+    res.json({ ok: true, jobId: job.id });
+  }));
+
+  router.get('/archive', handle(async (req, res) => {
+    res.json({ ok: true, binaries: await archive.list() });
+  }));
+
+  router.post('/archive/:id/rollback', audit.track('server.rollback', { target: req => `archive:${req.params.id}` }), handle(async (req, res) => {
+    const row = await builds.rollback(req.params.id);
+    logI(`${req.session.username} rolled ${row.target} back to archive #${row.id}`);
+    res.json({ ok: true, target: row.target, version: row.git_version });
+  }));
+
+  router.get('/stream/:jobId', (req, res) => {
+    streamJob(req, res, builds.get(req.params.jobId));
+  });
+
+  return router;
+};
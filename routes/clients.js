@@ -0,0 +1,66 @@
+// routes/clients.js
+// Clients console for one world (?world=<id>)
+// - Live client list from the world's /clients poll (search, sort and
+//   filters run in the browser)
+// - Kick, private message and teleport to a safe spot, for one or many
+//   characters at once; every character gets the world server's reply
+//   (see clientActions.js)
+
+const express = require('express');
+const { asyncHandler } = require('../routeHelpers');
+
+// -----------------------------
+// router factory
+// -----------------------------
+module.exports = function buildClientsRouter({ worlds, actions, permissions, audit }) {
+  const router = express.Router();
+
+  const handle = asyncHandler('clients:router');
+
+  // ?world=<id> / body.world; the first world when omitted
+  router.use((req, res, next) => {
+    req.world = worlds.fromRequest(req);
+    if (!req.world) return res.status(404).json({ ok: false, error: 'Unknown world' });
+    next();
+  });
+
+  // Render EJS UI
+  router.get('/', (req, res) => {
+    res.render('world_clients', {
+      world: { id: req.world.id, name: req.world.name },
+      canSetStatus: permissions.allowed(req.session, 'clients.setstatus'),
+      // no selection column while every action is switched off (config.client_actions)
+      canModerate: permissions.allowed(req.session, 'clients.moderate') && actions.available.length > 0,
+      actions: actions.available,
+      maxCharacters: actions.maxCharacters
+    });
+  });
+
+  router.get('/data', (req, res) => {
+    const clients = req.world.clients && Array.isArray(req.world.clients.Clients) ? req.world.clients.Clients : [];
+    res.json({
+      ok: true,
+      clients,
+      polledAt: req.world.clientsPolledAt,
+      status: req.world.serverStatus,
+      apiError: req.world.apiError
+    });
+  });
+
+  router.post('/action', permissions.checkPermission('clients.moderate'), handle(async (req, res) => {
+    const { action, characters, message, reason } = req.body || {};
+    const results = await actions.run(req.world, action, characters, { message, reason });
+    const failed = results.filter(r => !r.ok);
+    audit.record({
+      req,
+      action: `clients.${action}`,
+      target: `${req.world.id}:${results.map(r => r.character).join(',')}`,
+      params: { message, reason },
+      outcome: failed.length === results.length ? 'failure' : 'success',
+      detail: failed.length ? `${failed.length} of ${results.length} failed: ${failed[0].error}` : null
+    });
+    res.json({ ok: true, action, results });
+  }));
+
+  return router;
+};
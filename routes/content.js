@@ -0,0 +1,74 @@
+// routes/content.js
+// Admin UI + JSON APIs for world content (LUA script) updates (see contentUpdates.js)
+// - Branch/tag/commit picker with a preview of the changed scripts
+//   and the locally edited ones
+// - Update job (keep or overwrite local edits) with SSE output,
+//   history with stored log tails
+// - The reset (discard local edits) is POST /reset_content in app.js
+
+const express = require('express');
+const { asyncHandler } = require('../routeHelpers');
+const { streamJob } = require('../jobs');
+
+function toBool(v) {
+  if (typeof v === 'boolean') return v;
+  if (typeof v === 'number') return v !== 0;
+  if (typeof v === 'string') return ['1','true','yes','on'].includes(v.toLowerCase());
+  return false;
+}
+
+function logI(...a){ console.log('[content:router]', ...a); }
+
+// -----------------------------
+// router factory
+// -----------------------------
+module.exports = function buildContentRouter({ content, audit }) {
+  const router = express.Router();
+
+  const handle = asyncHandler('content:router');
+
+  // Render EJS UI
+  router.get('/', (req, res) => {
+    res.render('content', { folders: content.folders });
+  });
+
+  router.get('/refs', handle(async (req, res) => {
+    res.json({ ok: true, ...(await content.refs()) });
+  }));
+
+  router.get('/preview', handle(async (req, res) => {
+    res.json({ ok: true, preview: await content.preview(req.query.ref) });
+  }));
+
+  // Local edits only (what a reset would discard); no fetch
+  router.get('/local-edits', handle(async (req, res) => {
+    res.json({ ok: true, localEdits: await content.localEdits() });
+  }));
+
+  router.get('/list', handle(async (req, res) => {
+    res.json({ ok: true, current: content.current(), history: await content.history(req.query.limit) });
+  }));
+
+  router.get('/:id/log', handle(async (req, res) => {
+    const log = await content.logTail(req.params.id);
+    if (log == null) return res.status(404).json({ ok: false, error: 'Unknown content update' });
+    res.json({ ok: true, log });
+  }));
+
+  router.post('/start', audit.track('content.update', { target: req => (req.body && req.body.ref) || '(current branch)' }), handle(async (req, res) => {
+    const body = req.body || {};
+    const job = await content.start({
+      ref: body.ref,
+      keepLocal: body.keepLocal == null ? true : toBool(body.keepLocal),
+      username: req.session.username
+    });
+    logI(`${req.session.username} started content update ${job.id}`);
+    res.json({ ok: true, jobId: job.id });
+  }));
+
+  router.get('/stream/:jobId', (req, res) => {
+    streamJob(req, res, content.get(req.params.jobId));
+  });
+
+  return router;
+};
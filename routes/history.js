@@ -0,0 +1,58 @@
+// routes/history.js
+// UI + JSON API for the status / population history (see statusHistory.js)
+// - Range presets (24h, 7d, 30d, 90d) or an explicit from / to
+// - Per server: online players, up ratio and outage intervals;
+//   per world also peak population of the busiest zones
+
+const express = require('express');
+const { asyncHandler } = require('../routeHelpers');
+
+const RANGES = { '24h': 86400, '7d': 7 * 86400, '30d': 30 * 86400, '90d': 90 * 86400 };
+
+// ?range= or ?from=&to= -> { from, to } (Dates); throws 400 on bad input
+function rangeFrom(q) {
+  const to = q.to ? new Date(q.to) : new Date();
+  const from = q.from ? new Date(q.from) : new Date(to.getTime() - (RANGES[q.range] || RANGES['24h']) * 1000);
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from >= to) {
+    throw Object.assign(new Error('Invalid time range'), { status: 400 });
+  }
+  return { from, to };
+}
+
+// -----------------------------
+// router factory
+// -----------------------------
+module.exports = function buildHistoryRouter({ history, worlds, loginEnabled }) {
+  const router = express.Router();
+
+  const handle = asyncHandler('history:router');
+
+  // login + one entry per world
+  function servers() {
+    const list = worlds.list().map(w => ({ id: w.id, name: w.name, world: true }));
+    if (loginEnabled) list.push({ id: 'login', name: 'Login Server', world: false });
+    return list;
+  }
+
+  // Render EJS UI
+  router.get('/', (req, res) => {
+    res.render('history', {
+      servers: servers(),
+      ranges: Object.keys(RANGES),
+      retentionDays: history.retentionDays
+    });
+  });
+
+  router.get('/data', handle(async (req, res) => {
+    const server = servers().find(s => s.id === req.query.server) || servers()[0];
+    const { from, to } = rangeFrom(req.query);
+    const [series, outages, zones] = await Promise.all([
+      history.series(server.id, from, to),
+      history.outages(server.id, from, to),
+      server.world ? history.zones(server.id, from, to) : null
+    ]);
+    res.json({ ok: true, server, from, to, series, outages, zones });
+  }));
+
+  return router;
+};
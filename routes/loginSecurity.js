@@ -0,0 +1,46 @@
+// routes/loginSecurity.js
+// Admin UI + JSON APIs for login brute-force protection
+// - Active delays/lockouts per username and source IP (clearable)
+// - Recent failed/successful login events from login_events
+
+const express = require('express');
+
+module.exports = function buildLoginSecurityRouter({ loginGuard, audit }) {
+  const router = express.Router();
+
+  // Render EJS UI
+  router.get('/', (req, res) => {
+    res.render('login_security');
+  });
+
+  router.get('/lockouts', (req, res) => {
+    res.json({ ok: true, lockouts: loginGuard.lockouts() });
+  });
+
+  router.post('/lockouts/clear', audit.track('login_security.clear', { target: req => `${req.body.type}:${req.body.key}` }), (req, res) => {
+    const { type, key } = req.body || {};
+    if (!type || !key) {
+      return res.status(400).json({ ok: false, error: 'type and key are required' });
+    }
+    const cleared = loginGuard.clear(String(type), String(key));
+    if (cleared) console.log(`[login-security] ${req.session.username} cleared lockout ${type}:${key}`);
+    res.json({ ok: true, cleared });
+  });
+
+  router.get('/events', async (req, res) => {
+    try {
+      const success = req.query.success === '1' ? true : req.query.success === '0' ? false : undefined;
+      const events = await loginGuard.events({
+        username: (req.query.username || '').trim() || undefined,
+        ip: (req.query.ip || '').trim() || undefined,
+        success,
+        limit: req.query.limit
+      });
+      res.json({ ok: true, events: events.map(e => ({ ...e, success: !!e.success })) });
+    } catch (e) {
+      res.status(500).json({ ok: false, error: e.message });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,74 @@
+// routes/notifications.js
+// Admin UI + JSON APIs for alert channels (see notifications.js)
+// - List webhook / email channels with their event subscriptions
+// - Create, edit, enable/disable, delete
+// - Send a test notification to one channel
+// - Recent deliveries (sent, failed, rate limited)
+
+const express = require('express');
+const { asyncHandler } = require('../routeHelpers');
+
+function toBool(v) {
+  if (typeof v === 'boolean') return v;
+  if (typeof v === 'number') return v !== 0;
+  if (typeof v === 'string') return ['1','true','yes','on'].includes(v.toLowerCase());
+  return false;
+}
+
+function logI(...a){ console.log('[notifications:router]', ...a); }
+
+// -----------------------------
+// router factory
+// -----------------------------
+module.exports = function buildNotificationsRouter({ notifications, audit }) {
+  const router = express.Router();
+
+  const handle = asyncHandler('notifications:router');
+
+  const byId = (req) => `channel:${req.params.id}`;
+
+  // Render EJS UI
+  router.get('/', (req, res) => {
+    res.render('notifications', {
+      events: notifications.events,
+      formats: notifications.formats,
+      smtpConfigured: notifications.smtpConfigured()
+    });
+  });
+
+  router.get('/list', handle(async (req, res) => {
+    const [channels, recent] = await Promise.all([notifications.list(), notifications.recent(req.query.limit)]);
+    res.json({ ok: true, channels, recent });
+  }));
+
+  router.post('/create', audit.track('notification.create', { target: req => req.body.name }), handle(async (req, res) => {
+    const channel = await notifications.create(req.body || {}, req.session.username);
+    logI(`${req.session.username} created channel "${channel.name}"`);
+    res.json({ ok: true, channel });
+  }));
+
+  router.post('/:id/update', audit.track('notification.update', { target: byId }), handle(async (req, res) => {
+    const channel = await notifications.update(req.params.id, req.body || {});
+    logI(`${req.session.username} updated channel "${channel.name}"`);
+    res.json({ ok: true, channel });
+  }));
+
+  router.post('/:id/enable', audit.track('notification.enable', { target: byId }), handle(async (req, res) => {
+    const channel = await notifications.setEnabled(req.params.id, toBool(req.body.enabled));
+    logI(`${req.session.username} ${channel.enabled ? 'enabled' : 'disabled'} channel "${channel.name}"`);
+    res.json({ ok: true, channel });
+  }));
+
+  router.post('/:id/test', audit.track('notification.test', { target: byId }), handle(async (req, res) => {
+    await notifications.test(req.params.id, req.session.username);
+    res.json({ ok: true });
+  }));
+
+  router.post('/:id/delete', audit.track('notification.delete', { target: byId }), handle(async (req, res) => {
+    await notifications.remove(req.params.id);
+    logI(`${req.session.username} deleted channel ${req.params.id}`);
+    res.json({ ok: true });
+  }));
+
+  return router;
+};
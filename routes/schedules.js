@@ -0,0 +1,69 @@
+// routes/schedules.js
+// Admin UI + JSON APIs for scheduled world/login restarts
+// - List schedules with next/last run and countdown state
+// - Create, edit, enable/disable, delete
+// - Skip the next run (aborts a countdown in progress)
+
+const express = require('express');
+const { asyncHandler } = require('../routeHelpers');
+
+function toBool(v) {
+  if (typeof v === 'boolean') return v;
+  if (typeof v === 'number') return v !== 0;
+  if (typeof v === 'string') return ['1','true','yes','on'].includes(v.toLowerCase());
+  return false;
+}
+
+function logI(...a){ console.log('[schedules:router]', ...a); }
+
+// -----------------------------
+// router factory
+// -----------------------------
+module.exports = function buildSchedulesRouter({ scheduler, audit }) {
+  const router = express.Router();
+
+  const handle = asyncHandler('schedules:router');
+
+  const byId = (req) => `schedule:${req.params.id}`;
+
+  // Render EJS UI
+  router.get('/', (req, res) => {
+    res.render('schedules', { targets: scheduler.targets });
+  });
+
+  router.get('/list', (req, res) => {
+    res.json({ ok: true, schedules: scheduler.list(), now: new Date() });
+  });
+
+  router.post('/create', audit.track('schedule.create', { target: req => req.body.name }), handle(async (req, res) => {
+    const schedule = await scheduler.create(req.body || {}, req.session.username);
+    logI(`${req.session.username} created schedule "${schedule.name}"`);
+    res.json({ ok: true, schedule });
+  }));
+
+  router.post('/:id/update', audit.track('schedule.update', { target: byId }), handle(async (req, res) => {
+    const schedule = await scheduler.update(req.params.id, req.body || {});
+    logI(`${req.session.username} updated schedule "${schedule.name}"`);
+    res.json({ ok: true, schedule });
+  }));
+
+  router.post('/:id/skip', audit.track('schedule.skip', { target: byId }), handle(async (req, res) => {
+    const schedule = await scheduler.skip(req.params.id);
+    logI(`${req.session.username} skipped the next run of "${schedule.name}"`);
+    res.json({ ok: true, schedule });
+  }));
+
+  router.post('/:id/enable', audit.track('schedule.enable', { target: byId }), handle(async (req, res) => {
+    const schedule = await scheduler.setEnabled(req.params.id, toBool(req.body.enabled));
+    logI(`${req.session.username} ${schedule.enabled ? 'enabled' : 'disabled'} schedule "${schedule.name}"`);
+    res.json({ ok: true, schedule });
+  }));
+
+  router.post('/:id/delete', audit.track('schedule.delete', { target: byId }), handle(async (req, res) => {
+    await scheduler.remove(req.params.id);
+    logI(`${req.session.username} deleted schedule ${req.params.id}`);
+    res.json({ ok: true });
+  }));
+
+  return router;
+};
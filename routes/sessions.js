@@ -0,0 +1,88 @@
+// routes/sessions.js
+// UI + JSON API for the player session history (see playerSessions.js)
+// - Per world: playtime per character and account, daily peaks of
+//   characters online at once
+// - Per character: session timeline with login, logout, zone and
+//   linkdead events
+// - Range presets (24h, 7d, 30d, 90d) or an explicit from / to
+
+const express = require('express');
+const { asyncHandler } = require('../routeHelpers');
+
+const RANGES = { '24h': 86400, '7d': 7 * 86400, '30d': 30 * 86400, '90d': 90 * 86400 };
+
+// ?range= or ?from=&to= -> { from, to } (Dates); throws 400 on bad input
+function rangeFrom(q, fallback) {
+  const to = q.to ? new Date(q.to) : new Date();
+  const from = q.from ? new Date(q.from) : new Date(to.getTime() - (RANGES[q.range] || RANGES[fallback]) * 1000);
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from >= to) {
+    throw Object.assign(new Error('Invalid time range'), { status: 400 });
+  }
+  return { from, to };
+}
+
+// -----------------------------
+// router factory
+// -----------------------------
+module.exports = function buildSessionsRouter({ sessions, worlds }) {
+  const router = express.Router();
+
+  const handle = asyncHandler('sessions:router');
+
+  function worldOf(req) {
+    const world = worlds.fromRequest(req);
+    if (!world) throw Object.assign(new Error('Unknown world'), { status: 404 });
+    return world;
+  }
+
+  function characterIdOf(req) {
+    const id = Number(req.query.id);
+    if (!Number.isInteger(id) || id <= 0) throw Object.assign(new Error('Invalid character id'), { status: 400 });
+    return id;
+  }
+
+  // Render EJS UI
+  router.get('/', (req, res) => {
+    const world = worlds.fromRequest(req) || worlds.first();
+    res.render('sessions', {
+      worlds: worlds.list().map(w => ({ id: w.id, name: w.name })),
+      selected: world.id,
+      ranges: Object.keys(RANGES),
+      retentionDays: sessions.retentionDays,
+      enabled: sessions.enabled
+    });
+  });
+
+  router.get('/data', handle(async (req, res) => {
+    const world = worldOf(req);
+    const { from, to } = rangeFrom(req.query, '7d');
+    const [playtime, peaks] = await Promise.all([
+      sessions.playtime(world.id, from, to),
+      sessions.peaks(world.id, from, to)
+    ]);
+    res.json({ ok: true, world: { id: world.id, name: world.name }, from, to, ...playtime, peaks });
+  }));
+
+  router.get('/character', (req, res) => {
+    const world = worlds.fromRequest(req);
+    const id = Number(req.query.id);
+    if (!world) return res.status(404).send('Unknown world');
+    if (!Number.isInteger(id) || id <= 0) return res.status(400).send('Invalid character id');
+    res.render('session_character', {
+      world: { id: world.id, name: world.name },
+      characterId: id,
+      name: req.query.name || '',
+      ranges: Object.keys(RANGES)
+    });
+  });
+
+  router.get('/character/data', handle(async (req, res) => {
+    const world = worldOf(req);
+    const id = characterIdOf(req);
+    const { from, to } = rangeFrom(req.query, '7d');
+    const character = await sessions.character(world.id, id, from, to);
+    res.json({ ok: true, from, to, character });
+  }));
+
+  return router;
+};
@@ -0,0 +1,161 @@
+// routes/users.js
+// Admin UI + JSON APIs for Dawn user management (users table)
+// - List, create, change role, disable/enable, reset password, delete
+// - Refuses to remove, disable or demote the last enabled admin
+// - Overview of every user's API tokens with revoke
+
+const express = require('express');
+const { asyncHandler } = require('../routeHelpers');
+const { query } = require('../dawnDb');
+const { ROLE_ORDER } = require('../permissions');
+
+function toBool(v) {
+  if (typeof v === 'boolean') return v;
+  if (typeof v === 'number') return v !== 0;
+  if (typeof v === 'string') return ['1','true','yes','on'].includes(v.toLowerCase());
+  return false;
+}
+
+function logI(...a){ console.log('[users:router]', ...a); }
+
+// -----------------------------
+// router factory
+// -----------------------------
+module.exports = function buildUsersRouter({ db, passwords, apiTokens, audit }) {
+  const router = express.Router();
+
+  async function findUser(id) {
+    const rows = await query(db, 'SELECT id, username, role, disabled FROM users WHERE id = ?', [id]);
+    return rows[0] || null;
+  }
+
+  // WHERE condition: the row is not the only enabled admin left. Checked by the UPDATE/DELETE
+  // itself, so two concurrent requests can't each remove "the other" admin. The derived table
+  // lets MySQL read users inside a statement that writes it; binds the user id.
+  const KEEPS_AN_ADMIN = `(role <> 'admin' OR disabled = 1 OR (SELECT n FROM (
+      SELECT COUNT(*) AS n FROM users WHERE role = 'admin' AND disabled = 0 AND id <> ?
+    ) AS other_admins) > 0)`;
+
+  const handle = asyncHandler('users:router');
+
+  // Load :id for the per-user routes
+  const withUser = (fn) => handle(async (req, res) => {
+    const user = await findUser(req.params.id);
+    if (!user) return res.status(404).json({ ok: false, error: 'Unknown user' });
+    return fn(req, res, user);
+  });
+
+  const byId = (req) => `user:${req.params.id}`;
+
+  // Render EJS UI
+  router.get('/', (req, res) => {
+    res.render('users', { roles: ROLE_ORDER, currentUser: req.session.username });
+  });
+
+  router.get('/list', handle(async (req, res) => {
+    const users = await query(db,
+      'SELECT id, username, role, disabled, totp_enabled, created_at, last_login FROM users ORDER BY username');
+    res.json({ ok: true, users: users.map(u => ({ ...u, disabled: !!u.disabled, totp_enabled: !!u.totp_enabled })) });
+  }));
+
+  router.get('/tokens', (req, res) => {
+    res.render('api_tokens', { admin: true, permissions: [] });
+  });
+
+  router.get('/tokens/list', handle(async (req, res) => {
+    res.json({ ok: true, tokens: await apiTokens.listAll() });
+  }));
+
+  router.post('/tokens/:tokenId/revoke', audit.track('api_tokens.revoke', { target: req => `token:${req.params.tokenId}` }), handle(async (req, res) => {
+    const revoked = await apiTokens.revoke(req.params.tokenId);
+    if (!revoked) return res.status(404).json({ ok: false, error: 'Unknown token' });
+    logI(`${req.session.username} revoked API token ${req.params.tokenId}`);
+    res.json({ ok: true });
+  }));
+
+  router.post('/create', audit.track('users.create', { target: req => req.body.username }), handle(async (req, res) => {
+    const username = String(req.body.username || '').trim();
+    const password = String(req.body.password || '');
+    const role = String(req.body.role || 'user');
+
+    if (!username || !password) {
+      return res.status(400).json({ ok: false, error: 'Username and password are required' });
+    }
+    if (!ROLE_ORDER.includes(role)) {
+      return res.status(400).json({ ok: false, error: `Unknown role: ${role}` });
+    }
+
+    const salt = passwords.generateSalt();
+    const hashed = await passwords.hashPassword(password, salt);
+    try {
+      await query(db, 'INSERT INTO users (username, password, salt, role) VALUES (?, ?, ?, ?)',
+        [username, hashed, salt, role]);
+    } catch (e) {
+      if (e.code === 'ER_DUP_ENTRY') {
+        return res.status(409).json({ ok: false, error: `User "${username}" already exists` });
+      }
+      throw e;
+    }
+    logI(`${req.session.username} created user ${username} (${role})`);
+    res.json({ ok: true });
+  }));
+
+  router.post('/:id/role', audit.track('users.role', { target: byId }), withUser(async (req, res, user) => {
+    const role = String(req.body.role || '');
+    if (!ROLE_ORDER.includes(role)) {
+      return res.status(400).json({ ok: false, error: `Unknown role: ${role}` });
+    }
+    const result = role === 'admin'
+      ? await query(db, 'UPDATE users SET role = ? WHERE id = ?', [role, user.id])
+      : await query(db, `UPDATE users SET role = ? WHERE id = ? AND ${KEEPS_AN_ADMIN}`, [role, user.id, user.id]);
+    if (result.affectedRows === 0) {
+      return res.status(409).json({ ok: false, error: 'Cannot demote the last remaining admin' });
+    }
+    logI(`${req.session.username} changed role of ${user.username}: ${user.role} -> ${role}`);
+    res.json({ ok: true });
+  }));
+
+  router.post('/:id/disable', audit.track('users.disable', { target: byId }), withUser(async (req, res, user) => {
+    const disabled = toBool(req.body.disabled);
+    const result = disabled
+      ? await query(db, `UPDATE users SET disabled = 1 WHERE id = ? AND ${KEEPS_AN_ADMIN}`, [user.id, user.id])
+      : await query(db, 'UPDATE users SET disabled = 0 WHERE id = ?', [user.id]);
+    if (result.affectedRows === 0) {
+      return res.status(409).json({ ok: false, error: 'Cannot disable the last remaining admin' });
+    }
+    logI(`${req.session.username} ${disabled ? 'disabled' : 'enabled'} user ${user.username}`);
+    res.json({ ok: true });
+  }));
+
+  router.post('/:id/password', audit.track('users.password', { target: byId }), withUser(async (req, res, user) => {
+    const password = String(req.body.password || '');
+    if (!password) {
+      return res.status(400).json({ ok: false, error: 'Password is required' });
+    }
+    const salt = passwords.generateSalt();
+    await query(db, 'UPDATE users SET password = ?, salt = ? WHERE id = ?',
+      [await passwords.hashPassword(password, salt), salt, user.id]);
+    logI(`${req.session.username} reset password of ${user.username}`);
+    res.json({ ok: true });
+  }));
+
+  // For users who lost their authenticator and recovery codes
+  router.post('/:id/2fa/reset', audit.track('users.2fa_reset', { target: byId }), withUser(async (req, res, user) => {
+    await query(db,
+      'UPDATE users SET totp_enabled = 0, totp_secret = NULL, totp_last_step = NULL, totp_recovery = NULL WHERE id = ?',
+      [user.id]);
+    logI(`${req.session.username} reset 2FA of ${user.username}`);
+    res.json({ ok: true });
+  }));
+
+  router.post('/:id/delete', audit.track('users.delete', { target: byId }), withUser(async (req, res, user) => {
+    const result = await query(db, `DELETE FROM users WHERE id = ? AND ${KEEPS_AN_ADMIN}`, [user.id, user.id]);
+    if (result.affectedRows === 0) {
+      return res.status(409).json({ ok: false, error: 'Cannot delete the last remaining admin' });
+    }
+    logI(`${req.session.username} deleted user ${user.username}`);
+    res.json({ ok: true });
+  }));
+
+  return router;
+};
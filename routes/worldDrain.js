@@ -0,0 +1,87 @@
+// routes/worldDrain.js
+// JSON APIs + SSE progress for the graceful world stop (see worldDrain.js)
+// - POST /start { world, deadlineMinutes, message } -> { jobId }
+// - GET  /stream/:jobId  SSE: log / done / fail (backlog replayed first)
+// - POST /:jobId/abort   cancel while players are still being drained
+// - GET  /status         drains in progress (?world=<id>: that world only)
+
+const express = require('express');
+const { asyncHandler } = require('../routeHelpers');
+const { streamJob } = require('../jobs');
+
+function logI(...a){ console.log('[world-drain:router]', ...a); }
+
+// -----------------------------
+// router factory
+// -----------------------------
+module.exports = function buildWorldDrainRouter({ drains, worlds, audit }) {
+  const router = express.Router();
+
+  // drains: world id -> createWorldDrain()
+  function drainFor(req) {
+    const world = worlds.fromRequest(req);
+    if (!world) throw Object.assign(new Error('Unknown world'), { status: 404 });
+    return { world, drain: drains.get(world.id) };
+  }
+
+  function findJob(jobId) {
+    for (const [id, drain] of drains) {
+      const job = drain.get(jobId);
+      if (job) return { world: worlds.get(id), drain, job };
+    }
+    return { world: null, drain: null, job: null };
+  }
+
+  const handle = asyncHandler('world-drain:router');
+
+  router.get('/status', handle(async (req, res) => {
+    if (req.query.world) return res.json({ ok: true, drain: drainFor(req).drain.current() });
+    const active = [...drains.values()].map(d => d.current()).filter(Boolean);
+    res.json({ ok: true, drain: active[0] || null, drains: active });
+  }));
+
+  const worldTarget = (req) => {
+    const world = worlds.fromRequest(req);
+    return world ? world.processName : null;
+  };
+
+  router.post('/start', audit.track('world.drain', { target: worldTarget }), handle(async (req, res) => {
+    const body = req.body || {};
+    const { drain } = drainFor(req);
+    const job = drain.start({
+      deadlineMinutes: body.deadlineMinutes,
+      message: body.message,
+      username: req.session.username,
+      req
+    });
+    logI(`${req.session.username} started drain ${job.id}`);
+    res.json({ ok: true, jobId: job.id, drain: job });
+  }));
+
+  const jobTarget = (req) => {
+    const { world } = findJob(req.params.jobId);
+    return world ? world.processName : null;
+  };
+
+  router.post('/:jobId/abort', audit.track('world.drain_abort', { target: jobTarget }), handle(async (req, res) => {
+    const { drain } = findJob(req.params.jobId);
+    if (!drain) return res.status(404).json({ ok: false, error: 'Unknown drain job' });
+    const job = drain.abort(req.params.jobId, req.session.username);
+    logI(`${req.session.username} aborted drain ${job.id}`);
+    res.json({ ok: true, drain: job });
+  }));
+
+  router.get('/stream/:jobId', (req, res) => {
+    const { drain, job } = findJob(req.params.jobId);
+    streamJob(req, res, job, {
+      unknown: 'Unknown drain job',
+      outcome: (ended) => {
+        if (ended.status === 'error') return ['fail', { message: ended.error || 'Unknown error' }];
+        if (ended.status === 'finished' || ended.status === 'aborted') return ['done', drain.publicJob(ended)];
+        return null;
+      }
+    });
+  });
+
+  return router;
+};
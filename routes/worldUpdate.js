@@ -4,6 +4,7 @@
 // - Honors selectedTables exactly; no select-all unless selectAll:true
 // - Robust body parsing; works even if app.js forgot parsers
 // - SSE progress + rich error payloads
+// - With several world servers the update targets ?world=<id> / body.world
 
 const express = require('express');
 const { EventEmitter } = require('events');
@@ -104,14 +105,24 @@ module.exports = function buildWorldUpdateRouter(p1) {
   // Flexible signature:
   //   buildWorldUpdateRouter(world_db, checkRole)
   //   buildWorldUpdateRouter({ world_db, checkRole })
+  //   buildWorldUpdateRouter({ worlds, audit, onFinish })  // per world DB, see worlds.js;
+  //     onFinish({ world, ref, status, error }) after each update job
   //   buildWorldUpdateRouter()  // will try to auto-bind from app.locals
   let world_db = null;
+  let worlds = null;
   let checkRole = null;
+  let audit = null;
+  let onFinish = null;
 
   if (p1 && typeof p1.query === 'function') {
     world_db = p1;
+  } else if (p1 && typeof p1 === 'object' && p1.worlds) {
+    worlds = p1.worlds;
+    audit = p1.audit || null;
+    onFinish = p1.onFinish || null;
   } else if (p1 && typeof p1 === 'object' && p1.world_db) {
     world_db = p1.world_db || null;
+    audit = p1.audit || null;
   }
   const router = express.Router();
 
@@ -121,7 +132,7 @@ module.exports = function buildWorldUpdateRouter(p1) {
 
   // Try to auto-bind DB from app.locals if not provided explicitly
   router.use((req, _res, next) => {
-    if (!world_db || typeof world_db.query !== 'function') {
+    if (!worlds && (!world_db || typeof world_db.query !== 'function')) {
       const candidates = [
         req.app?.locals?.world_db,
         req.app?.locals?.db,
@@ -139,22 +150,35 @@ module.exports = function buildWorldUpdateRouter(p1) {
     next();
   });
 
-  // Small helper to fail fast if DB is missing
-  function ensureDb(res) {
-    if (!world_db || typeof world_db.query !== 'function') {
+  // The selected world's DB (or the single bound one); null if unknown / not configured
+  function dbFor(req) {
+    if (!worlds) return world_db;
+    const world = worlds.fromRequest(req);
+    return world ? world.db : null;
+  }
+
+  // Small helper to fail fast if DB is missing; returns the DB to use
+  function ensureDb(req, res) {
+    const db = dbFor(req);
+    if (!db || typeof db.query !== 'function') {
       res.status(500).json({
         ok: false,
-        error: 'World DB connection is not available. Pass it to the router or set app.locals.world_db.'
+        error: worlds
+          ? 'No world DB is configured for this world (worlddb in config.worlds).'
+          : 'World DB connection is not available. Pass it to the router or set app.locals.world_db.'
       });
-      return false;
+      return null;
     }
-    return true;
+    return db;
   }
 
   // Render EJS UI
   router.get('/', (req, res) => {
+    const world = worlds ? worlds.fromRequest(req) : null;
+    if (worlds && !world) return res.status(404).send('Unknown world');
     res.render('world-update', {
-      title: 'World DB Updater',
+      title: world && worlds.list().length > 1 ? `World DB Updater: ${world.name}` : 'World DB Updater',
+      world: world ? { id: world.id, name: world.name } : null,
       defaultRef: 'main'
     });
   });
@@ -307,7 +331,9 @@ module.exports = function buildWorldUpdateRouter(p1) {
   // ------------------------------------------------------------------
   router.post('/start', async (req, res) => {
     try {
-      if (!ensureDb(res)) return; // <-- fail fast if DB missing
+      const db = ensureDb(req, res);
+      if (!db) return; // <-- fail fast if DB missing
+      const world = worlds ? worlds.fromRequest(req) : null;
 
       const body             = normalizeBody(req);
       const ref              = (body.ref || 'main').trim();
@@ -417,6 +443,28 @@ module.exports = function buildWorldUpdateRouter(p1) {
       };
       updateJobs.set(id, job);
 
+      // Audited when the job ends; the request itself only queues it
+      const auditJob = (outcome, detail) => audit && audit.record({
+        req,
+        action: 'worlddb.update',
+        target: world ? `${world.id}:${ref}` : ref,
+        params: { mode, truncate, includeChars, selectAll: explicitSelectAll, groups: selectedGroups, tables: plan.steps.map(s => s.table) },
+        outcome,
+        detail
+      });
+
+      // Last finished update per world (metrics, notifications)
+      const recordResult = (status) => {
+        if (onFinish) onFinish({ world, ref, status, error: job.error });
+        if (!world) return;
+        world.lastDbUpdate = {
+          status,
+          startedAt: job.startedAt,
+          finishedAt: job.finishedAt,
+          durationSeconds: Math.round((Date.parse(job.finishedAt) - Date.parse(job.startedAt)) / 1000)
+        };
+      };
+
       (async () => {
         const send = (msg) => {
           const line = typeof msg === 'string' ? msg : JSON.stringify(msg);
@@ -426,16 +474,21 @@ module.exports = function buildWorldUpdateRouter(p1) {
         try {
           send(`Using cached catalog (tables=${catalog.length}) for ref: ${ref}`);
           send(`Steps: ${plan.steps.length} — ${plan.steps.map(s => s.table).join(', ')}`);
-          await updater.applyPlan(world_db, plan, (m) => send(m));
+          if (world) send(`World: ${world.name}`);
+          await updater.applyPlan(db, plan, (m) => send(m));
           job.status = 'finished';
           job.finishedAt = new Date().toISOString();
+          recordResult('success');
           emitter.emit('done', { ok: true, updated: plan.steps.map(s => s.table) });
+          auditJob('success', `Job ${id}: ${plan.steps.length} steps`);
         } catch (e) {
           job.status = 'error';
           job.error = e.message;
           job.errorPayload = serializeError(e, 'update/start');
           job.finishedAt = new Date().toISOString();
+          recordResult('failed');
           emitter.emit('fail', job.errorPayload);
+          auditJob('failure', `Job ${id}: ${e.message}`);
         }
       })();
 
@@ -0,0 +1,70 @@
+// sessionStore.js
+// -------------------------------------------------------------
+// express-session store backed by the Dawn database (sessions table)
+// so logins survive Dawn restarts (/kill_server, /kill_and_compile).
+// - Rows expire after the idle timeout; touch() slides the expiry
+// - Expired rows are swept periodically
+// -------------------------------------------------------------
+
+const session = require('express-session');
+const { query } = require('./dawnDb');
+
+const logW = (...a) => console.warn('[session-store:warn]', ...a);
+
+class MySQLSessionStore extends session.Store {
+  /**
+   * @param {object} db      mysql2 connection (callback API)
+   * @param {object} options { ttlMs, sweepIntervalMs }
+   */
+  constructor(db, { ttlMs = 60 * 60 * 1000, sweepIntervalMs = 10 * 60 * 1000 } = {}) {
+    super();
+    this.db = db;
+    this.ttlMs = ttlMs;
+
+    this.sweepTimer = setInterval(() => {
+      query(this.db, 'DELETE FROM sessions WHERE expires < ?', [Date.now()])
+        .catch(e => logW('Sweep failed:', e.message));
+    }, sweepIntervalMs);
+    this.sweepTimer.unref();
+  }
+
+  expiryFor(sess) {
+    const cookieExpiry = sess && sess.cookie && sess.cookie.expires ? new Date(sess.cookie.expires).getTime() : 0;
+    return cookieExpiry || Date.now() + this.ttlMs;
+  }
+
+  get(sid, cb) {
+    query(this.db, 'SELECT data, expires FROM sessions WHERE sid = ?', [sid])
+      .then(rows => {
+        if (!rows.length || rows[0].expires < Date.now()) return cb(null, null);
+        let sess = null;
+        try { sess = JSON.parse(rows[0].data); } catch (e) { return cb(e); }
+        cb(null, sess);
+      })
+      .catch(err => cb(err));
+  }
+
+  set(sid, sess, cb) {
+    query(this.db,
+      'INSERT INTO sessions (sid, expires, data) VALUES (?, ?, ?) ON DUPLICATE KEY UPDATE expires = VALUES(expires), data = VALUES(data)',
+      [sid, this.expiryFor(sess), JSON.stringify(sess)])
+      .then(() => cb && cb(null))
+      .catch(err => cb && cb(err));
+  }
+
+  touch(sid, sess, cb) {
+    query(this.db, 'UPDATE sessions SET expires = ? WHERE sid = ?', [this.expiryFor(sess), sid])
+      .then(() => cb && cb(null))
+      .catch(err => cb && cb(err));
+  }
+
+  destroy(sid, cb) {
+    query(this.db, 'DELETE FROM sessions WHERE sid = ?', [sid])
+      .then(() => cb && cb(null))
+      .catch(err => cb && cb(err));
+  }
+}
+
+module.exports = {
+  MySQLSessionStore
+};
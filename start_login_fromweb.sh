@@ -1 +0,0 @@
-screen -d -m bash -x /eq2emu/start_login.sh
\ No newline at end of file
@@ -1 +0,0 @@
-screen -d -m bash -x /eq2emu/start_world.sh
\ No newline at end of file
@@ -5,9 +5,9 @@ cd /eq2emu/eq2emu_dawnserver/
 
 npm update
 npm install archiver
+npm install nodemailer
 
 sudo chmod +x compile_source_web.sh
-sudo chmod +x update_content_fromweb.sh
 login_status=$(pidof -x "login")
 world_status=$(pidof -x "eq2world")
 
@@ -0,0 +1,81 @@
+// statusBus.js
+// -------------------------------------------------------------
+// In-process status bus for the live dashboard.
+// - The pollers (login / world status, client lists, server files
+//   flags) and supervisor start / exit events publish the current
+//   state of a topic: 'login', 'server', 'world:<id>'
+// - A topic only goes out when its data changed, so browsers get
+//   change events instead of a copy of every poll. Values that change
+//   on every poll (uptimes) are left out with `omit` and published on
+//   their own topic at a lower rate
+// - stream(): one SSE response per browser, the current state of
+//   every topic first ('snapshot', like a job backlog), then live
+//   'change' events { topic, data }
+// -------------------------------------------------------------
+
+const { EventEmitter } = require('events');
+
+const PING_MS = 20000;
+
+function createStatusBus() {
+  const topics = new Map(); // topic -> { json, data }
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0); // one listener per open dashboard
+
+  /**
+   * Store `data` as the state of `topic`; true (and an event) when it changed.
+   * @param {object} [opts] { omit: keys of `data` left out of the topic }
+   */
+  function publish(topic, data, { omit = [] } = {}) {
+    if (omit.length) {
+      data = { ...data };
+      for (const key of omit) delete data[key];
+    }
+    const json = JSON.stringify(data);
+    const prev = topics.get(topic);
+    if (prev && prev.json === json) return false;
+    topics.set(topic, { json, data });
+    emitter.emit('change', { topic, data });
+    return true;
+  }
+
+  /** { topic: data } in publish order */
+  function snapshot() {
+    const out = {};
+    for (const [topic, t] of topics) out[topic] = t.data;
+    return out;
+  }
+
+  function stream(req, res) {
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+
+    const send = (event, data) => {
+      res.write(`event: ${event}\n`);
+      res.write(`data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`);
+    };
+
+    // backlog
+    send('snapshot', snapshot());
+
+    const onChange = (change) => send('change', change);
+    const ping = setInterval(() => { res.write(': ping\n\n'); }, PING_MS);
+    req.on('close', () => {
+      clearInterval(ping);
+      emitter.off('change', onChange);
+    });
+    emitter.on('change', onChange);
+  }
+
+  return {
+    publish,
+    snapshot,
+    stream,
+    listeners: () => emitter.listenerCount('change')
+  };
+}
+
+module.exports = {
+  createStatusBus
+};
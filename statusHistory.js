@@ -0,0 +1,191 @@
+// statusHistory.js
+// -------------------------------------------------------------
+// Status and population history: the polled login / world state
+// is only kept until the next poll, so it is sampled into the Dawn
+// DB for the history page.
+// - status_samples: per server (login, world id) every
+//   sample_seconds: up, world-login connection, client count
+// - zone_population: clients per zone and world at the same times
+// - Samples older than retention_days are pruned hourly
+// - series() / outages() / zones() read a time range back, bucketed
+//   so a chart gets a few hundred points whatever the range
+// Settings: config.status_history (optional), see DEFAULTS.
+// -------------------------------------------------------------
+
+const { query } = require('./dawnDb');
+
+const DEFAULTS = {
+  enabled: true,
+  sample_seconds: 60,
+  retention_days: 90
+};
+
+// Points per chart series; the bucket size follows from the range
+const TARGET_POINTS = 300;
+const PRUNE_MS = 60 * 60 * 1000;
+// Zones charted per world (the busiest in the range)
+const MAX_ZONES = 12;
+
+const logI = (...a) => console.log('[status-history]', ...a);
+const logW = (...a) => console.warn('[status-history:warn]', ...a);
+
+/**
+ * @param {object}   db      Dawn DB connection
+ * @param {function} sample  () => [{ server, up, loginConnected, clients, zones: { zone: count } }],
+ *                           the current polled state; servers not yet polled are left out
+ * @param {object}   options config.status_history
+ */
+function createStatusHistory({ db, sample, options = {} }) {
+  const opts = { ...DEFAULTS, ...options };
+  const sampleSeconds = Math.max(10, Number(opts.sample_seconds) || DEFAULTS.sample_seconds);
+  const retentionDays = Math.max(1, Number(opts.retention_days) || DEFAULTS.retention_days);
+
+  async function record() {
+    const at = new Date();
+    const rows = sample();
+    if (!rows.length) return;
+    await query(db,
+      'INSERT INTO status_samples (sampled_at, server, up, login_connected, clients) VALUES ?',
+      [rows.map(r => [at, r.server, r.up ? 1 : 0, r.loginConnected == null ? null : (r.loginConnected ? 1 : 0), r.clients == null ? null : r.clients])]);
+    const zoneRows = [];
+    for (const r of rows) {
+      for (const [zone, count] of Object.entries(r.zones || {})) zoneRows.push([at, r.server, zone.slice(0, 128), count]);
+    }
+    if (zoneRows.length) {
+      await query(db, 'INSERT INTO zone_population (sampled_at, world, zone, clients) VALUES ?', [zoneRows]);
+    }
+  }
+
+  async function prune() {
+    const cutoff = new Date(Date.now() - retentionDays * 86400000);
+    const a = await query(db, 'DELETE FROM status_samples WHERE sampled_at < ?', [cutoff]);
+    const b = await query(db, 'DELETE FROM zone_population WHERE sampled_at < ?', [cutoff]);
+    const removed = (a.affectedRows || 0) + (b.affectedRows || 0);
+    if (removed) logI(`Pruned ${removed} samples older than ${retentionDays} days`);
+  }
+
+  function start() {
+    if (!opts.enabled) {
+      logI('Disabled (config.status_history.enabled)');
+      return;
+    }
+    setInterval(() => record().catch(e => logW('Could not record status sample:', e.message)), sampleSeconds * 1000).unref();
+    setInterval(() => prune().catch(e => logW('Could not prune status history:', e.message)), PRUNE_MS).unref();
+    prune().catch(e => logW('Could not prune status history:', e.message));
+  }
+
+  /** Range -> bucket size in seconds (never below the sample interval) */
+  function bucketFor(from, to) {
+    const span = Math.max(1, (to - from) / 1000);
+    return Math.max(sampleSeconds, Math.ceil(span / TARGET_POINTS / sampleSeconds) * sampleSeconds);
+  }
+
+  /**
+   * Bucketed up ratio and client counts of one server.
+   * -> { bucketSeconds, points: [{ t (epoch s), up (0..1), clients (avg), clientsMax }] }
+   */
+  async function series(server, from, to) {
+    const bucket = bucketFor(from, to);
+    const rows = await query(db,
+      `SELECT FLOOR(UNIX_TIMESTAMP(sampled_at) / ?) * ? AS t, AVG(up) AS up, AVG(clients) AS clients, MAX(clients) AS clients_max
+       FROM status_samples WHERE server = ? AND sampled_at BETWEEN ? AND ?
+       GROUP BY t ORDER BY t`,
+      [bucket, bucket, server, from, to]);
+    return {
+      bucketSeconds: bucket,
+      points: rows.map(r => ({
+        t: Number(r.t),
+        up: Number(r.up),
+        clients: r.clients == null ? null : Math.round(Number(r.clients) * 10) / 10,
+        clientsMax: r.clients_max == null ? null : Number(r.clients_max)
+      }))
+    };
+  }
+
+  /**
+   * Down and unsampled intervals of one server, from the raw samples.
+   * A gap longer than three sample intervals is 'no_data' (Dawn was not running).
+   * -> { uptimePercent, samples, intervals: [{ kind: down|no_data, from, to, seconds, ongoing? }] }
+   */
+  async function outages(server, from, to) {
+    const rows = await query(db,
+      `SELECT UNIX_TIMESTAMP(sampled_at) AS t, up FROM status_samples
+       WHERE server = ? AND sampled_at BETWEEN ? AND ? ORDER BY sampled_at`,
+      [server, from, to]);
+    const maxGap = sampleSeconds * 3;
+    const intervals = [];
+    let down = null;
+    let prev = null;
+    let upCount = 0;
+    const close = (interval, end) => {
+      interval.to = new Date(end * 1000);
+      interval.seconds = Math.round(end - interval.start);
+      delete interval.start;
+      intervals.push(interval);
+    };
+    for (const r of rows) {
+      const t = Number(r.t);
+      if (prev != null && t - prev > maxGap) {
+        if (down) { close(down, prev); down = null; }
+        close({ kind: 'no_data', from: new Date(prev * 1000), start: prev }, t);
+      }
+      if (r.up) {
+        upCount++;
+        if (down) { close(down, t); down = null; }
+      } else if (!down) {
+        down = { kind: 'down', from: new Date(t * 1000), start: t };
+      }
+      prev = t;
+    }
+    if (down) {
+      close(down, prev);
+      intervals[intervals.length - 1].ongoing = true; // still down at the last sample
+    }
+    return {
+      uptimePercent: rows.length ? Math.round((upCount / rows.length) * 1000) / 10 : null,
+      samples: rows.length,
+      intervals
+    };
+  }
+
+  /**
+   * Peak clients per zone of one world, for the busiest zones in the range.
+   * -> { bucketSeconds, zones: [name], points: [{ t, counts: { zone: peak } }] }
+   */
+  async function zones(world, from, to) {
+    const bucket = bucketFor(from, to);
+    const top = await query(db,
+      `SELECT zone, SUM(clients) AS total FROM zone_population
+       WHERE world = ? AND sampled_at BETWEEN ? AND ?
+       GROUP BY zone ORDER BY total DESC LIMIT ?`,
+      [world, from, to, MAX_ZONES]);
+    const names = top.map(r => r.zone);
+    if (!names.length) return { bucketSeconds: bucket, zones: [], points: [] };
+
+    const rows = await query(db,
+      `SELECT FLOOR(UNIX_TIMESTAMP(sampled_at) / ?) * ? AS t, zone, MAX(clients) AS clients
+       FROM zone_population WHERE world = ? AND sampled_at BETWEEN ? AND ? AND zone IN (?)
+       GROUP BY t, zone ORDER BY t`,
+      [bucket, bucket, world, from, to, names]);
+    const byTime = new Map();
+    for (const r of rows) {
+      const t = Number(r.t);
+      if (!byTime.has(t)) byTime.set(t, { t, counts: {} });
+      byTime.get(t).counts[r.zone] = Number(r.clients);
+    }
+    return { bucketSeconds: bucket, zones: names, points: [...byTime.values()] };
+  }
+
+  return {
+    start,
+    series,
+    outages,
+    zones,
+    retentionDays,
+    sampleSeconds
+  };
+}
+
+module.exports = {
+  createStatusHistory
+};
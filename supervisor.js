@@ -0,0 +1,408 @@
+// supervisor.js
+// -------------------------------------------------------------
+// Runs the EQ2Emu login and world servers as managed child processes
+// (settings in config.processes, or per world in config.worlds; see
+// DEFAULTS and worlds.js).
+// - Children get their own process group and write stdout/stderr to
+//   an output log, so they keep running across Dawn restarts; the
+//   previous log is kept as *_last.log
+// - A pid file lets a restarted Dawn re-adopt a running server
+// - stop(): SIGTERM (or the configured stop_command), escalating to
+//   SIGKILL after stop_timeout_seconds
+// - status() reports pid, uptime and the last exit code / signal
+// -------------------------------------------------------------
+
+const fs = require('fs');
+const path = require('path');
+const { spawn, execFile } = require('child_process');
+const { EventEmitter } = require('events');
+
+const SERVER_DIR = '/eq2emu/eq2emu/server';
+
+const DEFAULTS = {
+  login: {
+    command: './login',
+    args: [],
+    cwd: SERVER_DIR,
+    env: {},
+    output_log: 'logs/eq2login.log',
+    stop_timeout_seconds: 30
+  },
+  eq2world: {
+    command: './eq2world',
+    args: [],
+    cwd: SERVER_DIR,
+    env: {},
+    output_log: 'logs/eq2world.log',
+    stop_timeout_seconds: 60
+  }
+};
+
+// Adopted processes are not our children, so exits are noticed by polling
+const ADOPTED_POLL_MS = 2000;
+const TAIL_BYTES = 64 * 1024;
+
+const logI = (...a) => console.log('[supervisor]', ...a);
+const logW = (...a) => console.warn('[supervisor:warn]', ...a);
+
+function isAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    return e.code === 'EPERM';
+  }
+}
+
+function lastLogPath(file) {
+  return /\.log$/.test(file) ? file.replace(/\.log$/, '_last.log') : `${file}.last`;
+}
+
+class ManagedProcess extends EventEmitter {
+  /**
+   * @param {string} name  process key (login, eq2world, eq2world_<id>)
+   * @param {object} spec  { command, args, cwd, env, output_log, pid_file, stop_command, stop_args, stop_timeout_seconds }
+   */
+  constructor(name, spec) {
+    super();
+    this.name = name;
+    this.spec = spec;
+    this.outputLog = path.resolve(spec.cwd, spec.output_log);
+    this.pidFile = path.resolve(spec.cwd, spec.pid_file || `${name}.pid`);
+
+    this.child = null;
+    this.pid = null;
+    this.state = 'stopped'; // stopped | starting | running | stopping
+    this.startedAt = null;
+    this.adopted = false;
+    this.stopRequested = false;
+    this.lastExit = null;   // { code, signal, at, uptimeSeconds, requested }
+
+    this.adoptTimer = null;
+    this.killTimer = null;
+    this.exitWaiters = [];
+    // Set by createSupervisor when several processes run the same binary (worlds)
+    this.sharedCommand = false;
+  }
+
+  get running() {
+    return this.state === 'running' || this.state === 'stopping';
+  }
+
+  // Pick up a server left running by a previous Dawn process, or one
+  // started outside Dawn (e.g. the old screen scripts), so it isn't
+  // started a second time. scan: also look for an unmanaged process;
+  // isClaimed(pid): pids already adopted by another managed process
+  adopt({ scan = true, isClaimed = () => false } = {}) {
+    if (this.state !== 'stopped') return;
+    let pid = null;
+    try {
+      pid = parseInt(fs.readFileSync(this.pidFile, 'utf8'), 10);
+      if (!(pid > 0) || !isAlive(pid) || !this.matchesCommand(pid)) {
+        fs.rmSync(this.pidFile, { force: true }); // stale
+        pid = null;
+      }
+    } catch {
+      // no pid file
+    }
+    if (pid == null && scan) pid = this.findUnmanaged(isClaimed);
+    if (pid == null) return;
+
+    this.pid = pid;
+    this.state = 'running';
+    this.adopted = true;
+    try { this.startedAt = fs.statSync(this.pidFile).mtime; } catch { this.startedAt = new Date(); }
+    logI(`${this.name}: adopted running process ${pid}`);
+
+    this.adoptTimer = setInterval(() => {
+      if (!isAlive(pid)) this.onExit(null, null);
+    }, ADOPTED_POLL_MS);
+    this.adoptTimer.unref();
+  }
+
+  // Guard against a recycled pid belonging to something else
+  matchesCommand(pid) {
+    try {
+      // argv[0], or argv[1] when started through an interpreter (scripts)
+      const argv = fs.readFileSync(`/proc/${pid}/cmdline`, 'utf8').split('\0').slice(0, 2);
+      return argv.some(arg => path.basename(arg) === path.basename(this.spec.command));
+    } catch {
+      return true; // no /proc: trust the pid file
+    }
+  }
+
+  // pidof equivalent: first running process whose command matches.
+  // With a shared binary the working directory and arguments must match too.
+  findUnmanaged(isClaimed = () => false) {
+    let entries;
+    try {
+      entries = fs.readdirSync('/proc').filter(d => /^\d+$/.test(d));
+    } catch {
+      return null;
+    }
+    for (const d of entries) {
+      const pid = Number(d);
+      if (pid === process.pid || isClaimed(pid)) continue;
+      try {
+        const argv = fs.readFileSync(`/proc/${pid}/cmdline`, 'utf8').split('\0');
+        if (!argv[0] || path.basename(argv[0]) !== path.basename(this.spec.command)) continue;
+        if (this.sharedCommand && !this.matchesInstance(pid, argv)) continue;
+        return pid;
+      } catch {
+        // exited while scanning
+      }
+    }
+    return null;
+  }
+
+  matchesInstance(pid, argv) {
+    const cwd = fs.realpathSync(`/proc/${pid}/cwd`);
+    if (cwd !== fs.realpathSync(this.spec.cwd)) return false;
+    const args = (this.spec.args || []).map(String);
+    return argv.slice(1, args.length + 1).join('\0') === args.join('\0');
+  }
+
+  rotateOutputLog() {
+    try {
+      fs.mkdirSync(path.dirname(this.outputLog), { recursive: true });
+      if (fs.existsSync(this.outputLog)) fs.renameSync(this.outputLog, lastLogPath(this.outputLog));
+    } catch (e) {
+      logW(`${this.name}: could not rotate ${this.outputLog}:`, e.message);
+    }
+  }
+
+  /** Resolves once the process has been spawned */
+  start() {
+    if (this.state !== 'stopped') {
+      return Promise.reject(new Error(`${this.name} is already ${this.state}`));
+    }
+    this.state = 'starting';
+    this.stopRequested = false;
+    this.rotateOutputLog();
+
+    return new Promise((resolve, reject) => {
+      let out;
+      try {
+        out = fs.openSync(this.outputLog, 'a');
+      } catch (e) {
+        this.state = 'stopped';
+        return reject(e);
+      }
+
+      const child = spawn(this.spec.command, this.spec.args || [], {
+        cwd: this.spec.cwd,
+        env: { ...process.env, ...(this.spec.env || {}) },
+        detached: true,
+        stdio: ['ignore', out, out]
+      });
+      fs.closeSync(out);
+
+      child.once('error', (err) => {
+        // Failed to spawn (missing binary, bad cwd ...); no 'exit' follows
+        if (this.child !== child || this.state !== 'starting') return;
+        this.child = null;
+        this.state = 'stopped';
+        this.lastExit = { code: null, signal: null, at: new Date(), uptimeSeconds: 0, requested: false, error: err.message };
+        logW(`${this.name}: failed to start:`, err.message);
+        this.emit('exit', this.lastExit);
+        reject(err);
+      });
+
+      child.once('spawn', () => {
+        this.child = child;
+        this.pid = child.pid;
+        this.adopted = false;
+        this.state = 'running';
+        this.startedAt = new Date();
+        fs.writeFile(this.pidFile, String(child.pid), (err) => {
+          if (err) logW(`${this.name}: could not write ${this.pidFile}:`, err.message);
+        });
+        logI(`${this.name}: started pid ${child.pid}`);
+        this.emit('start', { pid: child.pid });
+        resolve(child.pid);
+      });
+
+      child.once('exit', (code, signal) => this.onExit(code, signal));
+      // Don't keep Dawn alive (or take the server down) on a Dawn restart
+      child.unref();
+      this.child = child;
+    });
+  }
+
+  onExit(code, signal) {
+    if (this.state === 'stopped') return;
+    clearInterval(this.adoptTimer);
+    clearTimeout(this.killTimer);
+    this.adoptTimer = this.killTimer = null;
+
+    const uptimeSeconds = this.startedAt ? Math.round((Date.now() - this.startedAt.getTime()) / 1000) : 0;
+    this.lastExit = {
+      code,
+      signal,
+      at: new Date(),
+      uptimeSeconds,
+      requested: this.stopRequested,
+      // An adopted process is not our child; its exit status can't be read
+      unknown: code == null && signal == null
+    };
+    logI(`${this.name}: pid ${this.pid} ended: ${describeExit(this.lastExit)}`);
+
+    this.child = null;
+    this.pid = null;
+    this.state = 'stopped';
+    this.startedAt = null;
+    this.adopted = false;
+    fs.rm(this.pidFile, { force: true }, () => {});
+
+    this.emit('exit', this.lastExit);
+    const waiters = this.exitWaiters;
+    this.exitWaiters = [];
+    waiters.forEach(fn => fn(this.lastExit));
+  }
+
+  signal(sig) {
+    try {
+      // Negative pid: the whole process group (servers may fork helpers)
+      process.kill(-this.pid, sig);
+    } catch (e) {
+      if (e.code !== 'ESRCH') throw e;
+      try { process.kill(this.pid, sig); } catch (e2) { if (e2.code !== 'ESRCH') throw e2; }
+    }
+  }
+
+  /**
+   * SIGTERM, then SIGKILL after timeoutSeconds (default stop_timeout_seconds).
+   * Resolves with lastExit once the process is gone.
+   */
+  stop(timeoutSeconds) {
+    if (!this.running) return Promise.resolve(this.lastExit);
+    const done = new Promise(resolve => this.exitWaiters.push(resolve));
+    if (this.state === 'stopping') return done;
+
+    this.state = 'stopping';
+    this.stopRequested = true;
+    const timeoutMs = (Number(timeoutSeconds ?? this.spec.stop_timeout_seconds) || 30) * 1000;
+    logI(`${this.name}: stopping pid ${this.pid} (${this.spec.stop_command ? this.spec.stop_command : 'SIGTERM'}, SIGKILL after ${timeoutMs / 1000}s)`);
+    if (this.spec.stop_command) {
+      this.runStopCommand();
+    } else {
+      this.terminate();
+    }
+    this.killTimer = setTimeout(() => {
+      if (!this.running) return;
+      logW(`${this.name}: still running after ${timeoutMs / 1000}s, sending SIGKILL`);
+      try { this.signal('SIGKILL'); } catch (e) { logW(`${this.name}: SIGKILL failed:`, e.message); }
+    }, timeoutMs);
+    return done;
+  }
+
+  terminate() {
+    try {
+      this.signal('SIGTERM');
+    } catch (e) {
+      logW(`${this.name}: SIGTERM failed:`, e.message);
+    }
+  }
+
+  // Custom stop (e.g. a script that saves and shuts the world down); the
+  // server's pid is passed as SERVER_PID. Falls back to SIGTERM on failure.
+  runStopCommand() {
+    const pid = this.pid;
+    execFile(this.spec.stop_command, (this.spec.stop_args || []).map(String), {
+      cwd: this.spec.cwd,
+      env: { ...process.env, ...(this.spec.env || {}), SERVER_PID: String(pid) }
+    }, (err) => {
+      if (!err || this.state !== 'stopping' || this.pid !== pid) return;
+      logW(`${this.name}: stop command failed (${err.message}), sending SIGTERM`);
+      this.terminate();
+    });
+  }
+
+  /** Last lines of the captured stdout/stderr */
+  outputTail(maxLines = 50) {
+    let fd;
+    try {
+      fd = fs.openSync(this.outputLog, 'r');
+      const size = fs.fstatSync(fd).size;
+      const length = Math.min(size, TAIL_BYTES);
+      const buf = Buffer.alloc(length);
+      fs.readSync(fd, buf, 0, length, size - length);
+      const lines = buf.toString('utf8').split(/\r?\n/);
+      if (length < size) lines.shift(); // partial first line
+      while (lines.length && lines[lines.length - 1] === '') lines.pop();
+      return lines.slice(-maxLines);
+    } catch {
+      return [];
+    } finally {
+      if (fd != null) fs.closeSync(fd);
+    }
+  }
+
+  status() {
+    return {
+      name: this.name,
+      state: this.state,
+      running: this.running,
+      pid: this.pid,
+      adopted: this.adopted,
+      startedAt: this.startedAt,
+      uptimeSeconds: this.startedAt ? Math.round((Date.now() - this.startedAt.getTime()) / 1000) : null,
+      lastExit: this.lastExit,
+      lastExitText: this.lastExit ? describeExit(this.lastExit) : null
+    };
+  }
+}
+
+function describeExit(exit) {
+  if (exit.error) return `failed to start: ${exit.error}`;
+  if (exit.unknown) return 'exited, status unknown (adopted process)';
+  const how = exit.signal ? `killed by ${exit.signal}` : `exit code ${exit.code}`;
+  return exit.requested ? `stopped, ${how}` : how;
+}
+
+/**
+ * @param {object} processesConfig config.processes; per-process overrides of DEFAULTS
+ * @param {object} worldSpecs      { processName: spec } per world (worlds.js), each
+ *                                 over DEFAULTS.eq2world; default: config.processes.eq2world
+ */
+function createSupervisor(processesConfig = {}, worldSpecs = null) {
+  const specs = { login: { ...DEFAULTS.login, ...(processesConfig.login || {}) } };
+  for (const [name, spec] of Object.entries(worldSpecs || { eq2world: processesConfig.eq2world })) {
+    specs[name] = { ...DEFAULTS.eq2world, ...(spec || {}) };
+  }
+
+  const processes = new Map();
+  for (const [name, spec] of Object.entries(specs)) {
+    processes.set(name, new ManagedProcess(name, spec));
+  }
+
+  // Pid files first, so a scan for one world can't take another world's server
+  const all = [...processes.values()];
+  for (const proc of all) {
+    proc.sharedCommand = all.some(p => p !== proc && path.basename(p.spec.command) === path.basename(proc.spec.command));
+    proc.adopt({ scan: false });
+  }
+  const isClaimed = (pid) => all.some(p => p.pid === pid);
+  for (const proc of all) proc.adopt({ isClaimed });
+
+  function get(name) {
+    const proc = processes.get(name);
+    if (!proc) throw new Error(`Unknown process: ${name}`);
+    return proc;
+  }
+
+  function list() {
+    return [...processes.values()];
+  }
+
+  function stopAll(timeoutSeconds) {
+    return Promise.all(list().map(p => p.stop(timeoutSeconds)));
+  }
+
+  return { get, list, stopAll };
+}
+
+module.exports = {
+  createSupervisor,
+  describeExit
+};
@@ -0,0 +1,52 @@
+// test/statusBus.test.js
+// Run with: node --test test/
+
+const { EventEmitter } = require('events');
+const test = require('node:test');
+const assert = require('node:assert');
+const { createStatusBus } = require('../statusBus');
+
+// A dashboard world row as published on every world status poll
+const worldRow = (uptime, status = 'online') => ({
+  id: 'main',
+  name: 'Main',
+  status,
+  uptime,
+  login_connected: 'connected',
+  pid: 1234,
+  clients: 3
+});
+
+// A bus with one open stream; `events` collects the SSE event names it got
+function busWithEvents(t) {
+  const bus = createStatusBus();
+  const events = [];
+  const req = new EventEmitter();
+  bus.stream(req, { setHeader() {}, write(chunk) {
+    const m = /^event: (\w+)\n$/.exec(chunk);
+    if (m) events.push(m[1]);
+  } });
+  t.after(() => req.emit('close'));
+  return { bus, events };
+}
+
+test('two polls differing only in uptime publish nothing', (t) => {
+  const { bus, events } = busWithEvents(t);
+  const omit = ['uptime'];
+  assert.strictEqual(bus.publish('world:main', worldRow('0d 0h 1m 5s'), { omit }), true);
+  const changes = events.filter(e => e === 'change').length;
+
+  assert.strictEqual(bus.publish('world:main', worldRow('0d 0h 1m 15s'), { omit }), false);
+  assert.strictEqual(events.filter(e => e === 'change').length, changes);
+  assert.ok(!('uptime' in bus.snapshot()['world:main']));
+});
+
+test('a real change still publishes', (t) => {
+  const { bus, events } = busWithEvents(t);
+  const omit = ['uptime'];
+  bus.publish('world:main', worldRow('0d 0h 1m 5s'), { omit });
+  const changes = events.filter(e => e === 'change').length;
+
+  assert.strictEqual(bus.publish('world:main', worldRow('0d 0h 1m 15s', 'offline'), { omit }), true);
+  assert.strictEqual(events.filter(e => e === 'change').length, changes + 1);
+});
@@ -0,0 +1,130 @@
+// totp.js
+// -------------------------------------------------------------
+// RFC 6238 TOTP (SHA-1, 6 digits, 30s step) for Dawn 2FA.
+// - Secrets are base32 (what authenticator apps expect)
+// - verify() returns the matched time step so callers can
+//   reject replays of an already-used code
+// - Recovery codes are shown once and stored as SHA-256 hashes
+// -------------------------------------------------------------
+
+const crypto = require('crypto');
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buf) {
+  let bits = 0, value = 0, out = '';
+  for (const byte of buf) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function base32Decode(str) {
+  const clean = String(str || '').toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0, value = 0;
+  const out = [];
+  for (const ch of clean) {
+    const idx = BASE32.indexOf(ch);
+    if (idx === -1) throw new Error(`Invalid base32 character: ${ch}`);
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(out);
+}
+
+/** 160-bit secret, base32 encoded */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+function timeStep(now = Date.now()) {
+  return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+/** HOTP value for a given counter (RFC 4226 dynamic truncation) */
+function hotp(secret, counter) {
+  const msg = Buffer.alloc(8);
+  msg.writeBigUInt64BE(BigInt(counter));
+  const mac = crypto.createHmac('sha1', base32Decode(secret)).update(msg).digest();
+  const offset = mac[mac.length - 1] & 0x0f;
+  const code = ((mac[offset] & 0x7f) << 24) | (mac[offset + 1] << 16) | (mac[offset + 2] << 8) | mac[offset + 3];
+  return String(code % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+function generate(secret, now = Date.now()) {
+  return hotp(secret, timeStep(now));
+}
+
+/**
+ * Check a code against the current step +/- `window` steps.
+ * Returns the matching step number, or null. Steps <= lastStep are refused.
+ */
+function verify(secret, code, { window = 1, lastStep = null, now = Date.now() } = {}) {
+  const clean = String(code || '').replace(/\s+/g, '');
+  if (!/^\d{6}$/.test(clean)) return null;
+  const current = timeStep(now);
+  for (let i = -window; i <= window; i++) {
+    const step = current + i;
+    if (lastStep != null && step <= lastStep) continue;
+    const expected = hotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(clean))) return step;
+  }
+  return null;
+}
+
+/** otpauth:// URI for QR enrollment */
+function otpauthUri({ issuer, account, secret }) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+// ---- recovery codes ----
+function hashRecoveryCode(code) {
+  return crypto.createHash('sha256').update(String(code).replace(/[\s-]/g, '').toLowerCase()).digest('hex');
+}
+
+/** Returns { codes: [plain...], hashes: [sha256...] } */
+function generateRecoveryCodes(count = 10) {
+  const codes = [];
+  for (let i = 0; i < count; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+/** Returns the remaining hash list if `code` matched one, else null */
+function consumeRecoveryCode(hashes, code) {
+  const h = hashRecoveryCode(code);
+  const list = Array.isArray(hashes) ? hashes : [];
+  if (!list.includes(h)) return null;
+  return list.filter(x => x !== h);
+}
+
+module.exports = {
+  generateSecret,
+  generate,
+  verify,
+  otpauthUri,
+  generateRecoveryCodes,
+  consumeRecoveryCode
+};
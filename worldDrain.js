@@ -0,0 +1,244 @@
+// worldDrain.js
+// -------------------------------------------------------------
+// Graceful world shutdown ("drain"):
+//   1. warn connected players in game (and again at remind_minutes)
+//   2. wait until the /clients count reaches zero or the deadline passes
+//   3. stop the world process (see supervisor.js)
+// - One drain per world (app.js creates one per world server) and one
+//   at a time; abort() cancels it before the stop step
+// - A stop or restart outside the drain (/stop_world, scheduled
+//   restarts, builds, crashes) cancels it: cancel(), and the world
+//   process 'exit' event while draining
+// - Progress goes to job.logs + the job emitter ('log', 'done', 'fail'),
+//   streamed over SSE by routes/worldDrain.js
+// Settings: config.world_drain (optional), see DEFAULTS.
+// -------------------------------------------------------------
+
+const { EventEmitter } = require('events');
+const { formatRemaining } = require('./restartScheduler');
+
+const DEFAULTS = {
+  deadline_minutes: 10,
+  poll_seconds: 5,
+  remind_minutes: [5, 1],
+  message: 'The server is shutting down in {time}. Please find a safe place to log out.',
+  abort_message: 'The server shutdown has been cancelled.'
+};
+
+// Finished jobs kept for late SSE subscribers / the status endpoint
+const KEEP_JOBS = 10;
+
+const logI = (...a) => console.log('[world-drain]', ...a);
+const logW = (...a) => console.warn('[world-drain:warn]', ...a);
+
+/**
+ * @param {object}   supervisor   from createSupervisor()
+ * @param {object}   world        { id, name, processName } (worlds.js)
+ * @param {function} broadcast    async (message) => in-game announcement
+ * @param {function} countClients async () => connected clients, or null when the world can't be reached
+ * @param {object}   audit        from createAuditLog()
+ * @param {object}   options      config.world_drain
+ */
+function createWorldDrain({ supervisor, world = { id: 'world', name: 'World', processName: 'eq2world' }, broadcast, countClients, audit, options = {} }) {
+  const opts = { ...DEFAULTS, ...options };
+  const jobs = new Map(); // id -> job
+  let active = null;
+
+  function publicJob(job) {
+    return {
+      id: job.id,
+      world: world.id,
+      status: job.status, // draining | stopping | finished | aborted | error
+      startedBy: job.startedBy,
+      startedAt: job.startedAt,
+      deadline: job.deadline,
+      clients: job.clients,
+      finishedAt: job.finishedAt,
+      error: job.error
+    };
+  }
+
+  function keepRecent() {
+    const ids = [...jobs.keys()];
+    for (const id of ids.slice(0, Math.max(0, ids.length - KEEP_JOBS))) {
+      if (jobs.get(id) !== active) jobs.delete(id);
+    }
+  }
+
+  function finish(job, status, error) {
+    job.status = status;
+    job.error = error || null;
+    job.finishedAt = new Date().toISOString();
+    clearInterval(job.pollTimer);
+    job.timers.forEach(clearTimeout);
+    job.offExit();
+    if (active === job) active = null;
+    if (status === 'error') job.emitter.emit('fail', { message: error });
+    else job.emitter.emit('done', publicJob(job));
+    // Start and abort are audited by the routes; this records how the drain ended
+    if (status !== 'aborted') {
+      audit.record({
+        req: job.req,
+        action: 'world.drain_stop',
+        target: world.processName,
+        params: { deadlineMinutes: job.deadlineMinutes, clients: job.clients },
+        outcome: status === 'finished' ? 'success' : 'failure',
+        detail: `Job ${job.id}${error ? `: ${error}` : ''}`
+      });
+    }
+  }
+
+  async function stopWorld(job, why) {
+    if (job.status !== 'draining') return;
+    job.status = 'stopping';
+    clearInterval(job.pollTimer);
+    job.timers.forEach(clearTimeout);
+    job.log(`${why}; stopping ${world.processName}`);
+    try {
+      const exit = await supervisor.get(world.processName).stop();
+      job.log(`${world.processName} stopped` + (exit && exit.signal === 'SIGKILL' ? ' (killed after the stop timeout)' : ''));
+      finish(job, 'finished');
+    } catch (e) {
+      job.log(`Stop failed: ${e.message}`);
+      finish(job, 'error', e.message);
+    }
+  }
+
+  async function poll(job) {
+    if (job.status !== 'draining' || job.polling) return;
+    job.polling = true;
+    try {
+      if (!supervisor.get(world.processName).running) {
+        job.log(`${world.processName} is no longer running`);
+        finish(job, 'finished');
+        return;
+      }
+      const count = await countClients();
+      if (job.status !== 'draining') return;
+      if (count == null) {
+        job.log('Client list unavailable (world admin API not answering); waiting');
+      } else if (count !== job.clients) {
+        job.clients = count;
+        job.log(`${count} client${count === 1 ? '' : 's'} connected`);
+      }
+      if (count === 0) await stopWorld(job, 'All clients have logged out');
+    } finally {
+      job.polling = false;
+    }
+  }
+
+  function say(job, text) {
+    return Promise.resolve()
+      .then(() => broadcast(text))
+      .then(() => job.log(`Announced: ${text}`))
+      .catch(e => job.log(`Announcement failed: ${e.message}`));
+  }
+
+  /**
+   * Start draining. deadlineMinutes: how long to wait for players before stopping anyway.
+   * Throws (status 409) if the world isn't running or a drain is already in progress.
+   */
+  function start({ deadlineMinutes, message, username, req } = {}) {
+    if (active) throw Object.assign(new Error('A drain is already in progress'), { status: 409 });
+    if (!supervisor.get(world.processName).running) {
+      throw Object.assign(new Error(`The world server ${world.name} is not running`), { status: 409 });
+    }
+    const minutes = Number(deadlineMinutes) > 0 ? Math.min(Number(deadlineMinutes), 24 * 60) : opts.deadline_minutes;
+    const text = String(message || '').trim() || opts.message;
+
+    const id = `drain_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+    const emitter = new EventEmitter();
+    emitter.on('error', () => {}); // guard
+    const startedAt = Date.now();
+    const deadlineAt = startedAt + minutes * 60000;
+
+    const job = {
+      id,
+      status: 'draining',
+      startedBy: username || null,
+      startedAt: new Date(startedAt).toISOString(),
+      deadline: new Date(deadlineAt).toISOString(),
+      deadlineMinutes: minutes,
+      clients: null,
+      logs: [],
+      error: null,
+      finishedAt: null,
+      emitter,
+      req,
+      timers: [],
+      pollTimer: null,
+      polling: false
+    };
+    job.log = (line) => {
+      const stamped = `[${new Date().toLocaleTimeString()}] ${line}`;
+      job.logs.push(stamped);
+      emitter.emit('log', stamped);
+      logI(`${world.name}: ${line}`);
+    };
+    // Stopped by anything but this drain (the drain's own stop is 'stopping' by then)
+    const proc = supervisor.get(world.processName);
+    const onExit = () => cancel(`${world.processName} stopped outside the drain`);
+    proc.on('exit', onExit);
+    job.offExit = () => proc.off('exit', onExit);
+    jobs.set(id, job);
+    active = job;
+    keepRecent();
+
+    const announce = (remainingMs) => say(job, text.replace(/\{time\}/g, formatRemaining(remainingMs)));
+
+    job.log(`Drain of ${world.name} started by ${job.startedBy || 'unknown'}; deadline ${minutes} minute${minutes === 1 ? '' : 's'}`);
+    announce(deadlineAt - startedAt);
+    for (const m of opts.remind_minutes.map(Number).filter(m => m > 0 && m < minutes)) {
+      const at = deadlineAt - m * 60000;
+      job.timers.push(setTimeout(() => job.status === 'draining' && announce(deadlineAt - at), at - startedAt));
+    }
+    job.timers.push(setTimeout(() => {
+      const left = job.clients == null ? 'unknown number of' : job.clients;
+      stopWorld(job, `Deadline reached with ${left} client${job.clients === 1 ? '' : 's'} still connected`)
+        .catch(e => logW('Stop after deadline failed:', e.message));
+    }, deadlineAt - startedAt));
+    job.pollTimer = setInterval(() => poll(job).catch(e => job.log(`Client poll failed: ${e.message}`)), opts.poll_seconds * 1000);
+    poll(job).catch(e => job.log(`Client poll failed: ${e.message}`));
+
+    return publicJob(job);
+  }
+
+  /** Cancel the running drain (before the stop step); players are told it's off */
+  function abort(id, username) {
+    const job = jobs.get(id);
+    if (!job) throw Object.assign(new Error('Unknown drain job'), { status: 404 });
+    if (job.status !== 'draining') {
+      throw Object.assign(new Error(job.status === 'stopping' ? 'The world server is already stopping' : 'This drain has already ended'), { status: 409 });
+    }
+    job.log(`Aborted by ${username || 'unknown'}`);
+    say(job, opts.abort_message);
+    finish(job, 'aborted');
+    return publicJob(job);
+  }
+
+  /**
+   * Cancel the running drain because the world is stopped or restarted some other way.
+   * Players are not told it's off, the server goes down anyway. -> true if one was draining
+   */
+  function cancel(reason) {
+    if (!active || active.status !== 'draining') return false;
+    const job = active;
+    job.log(`Cancelled: ${reason}`);
+    finish(job, 'aborted');
+    return true;
+  }
+
+  function get(id) {
+    return jobs.get(id) || null;
+  }
+
+  function current() {
+    return active ? publicJob(active) : null;
+  }
+
+  return { start, abort, cancel, get, current, publicJob };
+}
+
+module.exports = {
+  createWorldDrain
+};
@@ -0,0 +1,150 @@
+// worlds.js
+// -------------------------------------------------------------
+// The world servers run by this Dawn instance (one login server,
+// any number of worlds, e.g. a live and a test world).
+// - config.worlds: named worlds, each with its own admin API address
+//   and credentials, process settings (start/stop, see supervisor.js)
+//   and optional world DB
+// - Without config.worlds a single world is built from the legacy
+//   settings (config.polling.world_*, config.processes.eq2world,
+//   config.worlddb), so existing installs keep working unchanged
+// - Each world holds its admin API client (polling.js) and its polled
+//   status, version, pid and client list
+// - The first world keeps the eq2world process name (pid file, output
+//   log, restart history, binary archive); the others run as
+//   eq2world_<id>
+// Settings: config.worlds (optional), see loadWorldConfigs().
+// -------------------------------------------------------------
+
+const mysql = require('mysql2');
+const { AdminApiClient, clientOptions } = require('./polling');
+
+const ID_RE = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+// Ids the login server already uses next to world ids (status_samples.server, history list)
+const RESERVED_IDS = ['login'];
+
+const logI = (...a) => console.log('[worlds]', ...a);
+const logW = (...a) => console.warn('[worlds:warn]', ...a);
+
+const slug = (name) => String(name || '').toLowerCase().replace(/[^a-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 32);
+
+/**
+ * config -> [{ id, name, address, admin, password, process, worlddb }]
+ * Throws on an invalid config.worlds (Dawn should not start half configured).
+ */
+function loadWorldConfigs(config) {
+  const polling = config.polling || {};
+  if (config.worlds == null) {
+    return [{
+      id: 'world',
+      name: 'World',
+      address: polling.world_address ?? 'https://127.0.0.1:9002',
+      admin: polling.world_admin,
+      password: polling.world_password,
+      process: (config.processes || {}).eq2world || {},
+      worlddb: config.worlddb || null
+    }];
+  }
+  if (!Array.isArray(config.worlds) || config.worlds.length === 0) {
+    throw new Error('config.worlds must be a non-empty list of world servers');
+  }
+  const seen = new Set();
+  return config.worlds.map((w, i) => {
+    const name = String((w && w.name) || '').trim();
+    if (!name) throw new Error(`config.worlds[${i}]: name is required`);
+    const id = w.id != null ? String(w.id) : slug(name);
+    if (!ID_RE.test(id)) throw new Error(`config.worlds[${i}]: invalid id "${id}" (a-z, 0-9, _ and -)`);
+    if (RESERVED_IDS.includes(id)) throw new Error(`config.worlds[${i}]: id "${id}" is reserved for the login server (set another id)`);
+    if (seen.has(id)) throw new Error(`config.worlds[${i}]: duplicate id "${id}"`);
+    seen.add(id);
+    if (!w.address) throw new Error(`config.worlds[${i}] (${name}): address is required`);
+    return {
+      id,
+      name,
+      address: w.address,
+      admin: w.admin,
+      password: w.password,
+      process: w.process || {},
+      worlddb: w.worlddb || null
+    };
+  });
+}
+
+function connectWorldDb(settings) {
+  return mysql.createConnection({
+    host: settings.host,
+    user: settings.user,
+    password: settings.password,
+    database: settings.database
+  });
+}
+
+/**
+ * @param {object} config the Dawn config (config.worlds or the legacy world settings)
+ */
+function createWorlds(config) {
+  const apiOptions = clientOptions(config);
+  const worlds = loadWorldConfigs(config).map((c, i) => {
+    const processName = i === 0 ? 'eq2world' : `eq2world_${c.id}`;
+    return {
+      id: c.id,
+      name: c.name,
+      address: c.address,
+      username: c.admin,
+      password: c.password,
+      api: new AdminApiClient({ name: c.name, address: c.address, username: c.admin, password: c.password, ...apiOptions }),
+      processName,
+      // Extra worlds get their own output log unless one is configured
+      processSpec: i === 0 ? c.process : { output_log: `logs/${processName}.log`, ...c.process },
+      db: c.worlddb ? connectWorldDb(c.worlddb) : null,
+      // polled state
+      serverStatus: 'Unknown',
+      status: {},
+      version: null,
+      clients: {},
+      clientsPolledAt: null, // last successful /clients poll (clients console)
+      pid: -1,
+      apiError: null,     // { code, message } of the last failed status poll (polling.js)
+      polledAt: null,     // last completed status poll (healthz)
+      lastDbUpdate: null  // { status, startedAt, finishedAt, durationSeconds } of the last world DB update
+    };
+  });
+  const byId = new Map(worlds.map(w => [w.id, w]));
+
+  if (config.worlds != null) {
+    logI(`${worlds.length} world server${worlds.length === 1 ? '' : 's'}: ${worlds.map(w => `${w.name} (${w.processName})`).join(', ')}`);
+  }
+
+  // Keep the world DB connections alive
+  function pingDatabases() {
+    for (const w of worlds) {
+      if (!w.db) continue;
+      w.db.ping((err) => {
+        if (err) logW(`${w.name}: error pinging world database:`, err.message);
+      });
+    }
+  }
+
+  /** ?world=<id> (or body.world) -> world; the first world when omitted, null when unknown */
+  function fromRequest(req) {
+    const id = (req.query && req.query.world) || (req.body && req.body.world);
+    return id ? byId.get(String(id)) || null : worlds[0];
+  }
+
+  return {
+    list: () => worlds,
+    get: (id) => byId.get(id) || null,
+    first: () => worlds[0],
+    fromRequest,
+    forProcess: (name) => worlds.find(w => w.processName === name) || null,
+    processNames: () => worlds.map(w => w.processName),
+    // supervisor world process specs: { processName: spec }
+    processSpecs: () => Object.fromEntries(worlds.map(w => [w.processName, w.processSpec])),
+    pingDatabases
+  };
+}
+
+module.exports = {
+  createWorlds,
+  loadWorldConfigs
+};